@@ -0,0 +1,19 @@
+#!/usr/bin/bash
+
+# This script uses sass to compile the SCSS files in the src directory into
+# the style.css file that index.html loads, along with its source map. Run it
+# after changing any SCSS file, since style.css isn't rebuilt by itself.
+# NOTE: Requires npm package "sass" to be installed globally.
+
+INPUTFILE="src/style_main.scss"
+OUTPUTFILE="style.css"
+
+sass ${INPUTFILE} ${OUTPUTFILE}
+if [[ ${?} -eq 0 ]]
+then
+    echo "Successfully compiled scss files to: ${OUTPUTFILE}"
+    exit 0
+else
+    echo "Error: Could not compile scss files." >&2
+    exit 1
+fi
@@ -0,0 +1,233 @@
+/*
+                            = ACHIEVEMENT MANAGER =
+    The achievement manager keeps the user's lifetime stats, and checks them
+    against the rules of every achievement whenever something is finished.
+    Unlocked achievements are shown as badges on the user's profile, along
+    with the stats themselves.
+*/
+
+// Each achievement has a rule, which receives the stats from
+// getLifetimeStats and returns true once the achievement is earned.
+const ACHIEVEMENTS = [
+    {id: "first_task", name: "First Steps", description: "Finish your first task.", icon: "fa-flag", rule: stats => stats.tasksFinished >= 1},
+    {id: "ten_tasks", name: "Getting Things Done", description: "Finish 10 tasks.", icon: "fa-check-square", rule: stats => stats.tasksFinished >= 10},
+    {id: "hundred_tasks", name: "Unstoppable", description: "Finish 100 tasks.", icon: "fa-rocket", rule: stats => stats.tasksFinished >= 100},
+    {id: "ten_hard_tasks", name: "Hardened", description: "Finish 10 hard tasks.", icon: "fa-shield", rule: stats => stats.hardTasksFinished >= 10},
+    {id: "streak_7", name: "On Fire", description: "Finish a task 7 days in a row.", icon: "fa-fire", rule: stats => stats.longestStreak >= 7},
+    {id: "streak_30", name: "Creature of Habit", description: "Finish a task 30 days in a row.", icon: "fa-calendar-check-o", rule: stats => stats.longestStreak >= 30},
+    {id: "first_quest", name: "Adventurer", description: "Complete your first quest.", icon: "fa-map-o", rule: stats => stats.questsCompleted >= 1},
+    {id: "track_complete", name: "Trailblazer", description: "Complete every quest in an Adventure Track.", icon: "fa-trophy", rule: stats => stats.tracksCompleted >= 1},
+    {id: "xp_10000", name: "Seasoned", description: "Earn 10000 XP in total.", icon: "fa-star", rule: stats => stats.totalXP >= 10000},
+];
+// Tasks at this difficulty or above count as hard
+const HARD_TASK_DIFFICULTY = 3;
+
+// The counters that can't be worked out from other data. finishDates holds
+// the date (DD-MM-YYYY) every finished task was finished on, so a date stays
+// in the streak until every task finished on it has been reopened.
+var lifetimeStats = {tasksFinished: 0, hardTasksFinished: 0, finishDates: []};
+// The IDs of the unlocked achievements, with the time they were unlocked
+var unlockedAchievements = {};
+
+/**
+ * Loads the lifetime stats and unlocked achievements of a user.
+ * @param {String} user The username, or null to start from scratch.
+ */
+function loadAchievements(user) {
+    lifetimeStats = {tasksFinished: 0, hardTasksFinished: 0, finishDates: []};
+    unlockedAchievements = {};
+    if(user) {
+        lifetimeStats = loadLocalSetting(`lifetimeStats_${user}`, lifetimeStats);
+        unlockedAchievements = loadLocalSetting(`achievements_${user}`, unlockedAchievements);
+    }
+}
+
+/**
+ * Saves the signed in user's lifetime stats and unlocked achievements.
+ */
+function saveAchievements() {
+    if(!userSession) {
+        return;
+    }
+    saveLocalSetting(`lifetimeStats_${userSession.user}`, lifetimeStats);
+    saveLocalSetting(`achievements_${userSession.user}`, unlockedAchievements);
+}
+
+/**
+ * Calculates the current and longest streak of consecutive days in a list of
+ * dates. The current streak counts back from today, or from yesterday if
+ * nothing has been done yet today.
+ * @param {Array} dateStrings Dates in DD-MM-YYYY format, in any order.
+ * @return {Object} An object with the properties current and longest.
+ */
+function getStreaks(dateStrings) {
+    const dates = dateStrings.map(parseDateString).sort((a, b) => a - b);
+    let longest = 0;
+    let run = 0;
+    for(let i = 0; i < dates.length; i++) {
+        const gap = (i === 0) ? null : getDaysBetween(dates[i - 1], dates[i]);
+        if(gap === 0) {
+            continue;
+        }
+        run = (gap === 1) ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+    let current = 0;
+    if(dates.length > 0) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const daysSinceLast = getDaysBetween(dates[dates.length - 1], today);
+        current = (daysSinceLast <= 1) ? run : 0;
+    }
+    return {current: current, longest: longest};
+}
+
+/**
+ * Puts together every stat the achievement rules and the profile use, from
+ * the lifetime counters, the quest progress and the XP ledger.
+ * @return {Object} The stats.
+ */
+function getLifetimeStats() {
+    const streaks = getStreaks(lifetimeStats.finishDates);
+    let questsCompleted = 0;
+    let tracksCompleted = 0;
+    ADVENTURE_TRACKS.forEach((track) => {
+        const progress = questProgress.tracks[track.id];
+        if(!progress) {
+            return;
+        }
+        questsCompleted += progress.completedQuests.length;
+        if(track.quests.every(obj => progress.completedQuests.includes(obj.id))) {
+            tracksCompleted++;
+        }
+    });
+    return {
+        tasksFinished: lifetimeStats.tasksFinished,
+        hardTasksFinished: lifetimeStats.hardTasksFinished,
+        currentStreak: streaks.current,
+        longestStreak: streaks.longest,
+        questsCompleted: questsCompleted,
+        tracksCompleted: tracksCompleted,
+        totalXP: getTotalXP(),
+    };
+}
+
+/**
+ * Checks every achievement that hasn't been unlocked yet, and unlocks the
+ * ones whose rules are now met. Tells the user about each of them.
+ * @return {Array} The achievements that were unlocked.
+ */
+function checkAchievements() {
+    const stats = getLifetimeStats();
+    const newlyUnlocked = ACHIEVEMENTS.filter((achievement) => {
+        return !unlockedAchievements[achievement.id] && achievement.rule(stats);
+    });
+    newlyUnlocked.forEach((achievement) => {
+        unlockedAchievements[achievement.id] = Date.now();
+        showToast(`Achievement unlocked: ${achievement.name}!`, {type: "achievement", duration: 8000});
+    });
+    if(newlyUnlocked.length > 0) {
+        saveAchievements();
+    }
+    return newlyUnlocked;
+}
+
+/**
+ * Counts finished tasks towards the lifetime stats, and checks if they
+ * unlocked any achievements. Called whenever events are finished.
+ * @param {Array} finishedEvents The events that were just finished. Only
+ * tasks are counted.
+ * @return {Array} The achievements that were unlocked.
+ */
+function recordFinishedTasks(finishedEvents) {
+    const tasks = finishedEvents.filter(obj => obj.type === "task");
+    if(tasks.length > 0) {
+        lifetimeStats.tasksFinished += tasks.length;
+        lifetimeStats.hardTasksFinished += tasks.filter(obj => parseInt(obj.difficulty) >= HARD_TASK_DIFFICULTY).length;
+        const today = getDateStringFromDate(new Date());
+        tasks.forEach((obj) => {
+            lifetimeStats.finishDates.push(obj.finishedOn || today);
+        });
+        saveAchievements();
+    }
+    return checkAchievements();
+}
+
+/**
+ * Takes finished tasks back out of the lifetime stats, so reopening and
+ * finishing a task again doesn't count it twice. Called wherever the XP of
+ * finished tasks is taken back. Achievements that were already unlocked are
+ * kept.
+ * @param {Array} events The events that are being reopened or deleted. Only
+ * finished tasks are counted.
+ */
+function reverseFinishedTasks(events) {
+    const tasks = events.filter(obj => obj.type === "task" && obj.finished === true);
+    if(tasks.length === 0) {
+        return;
+    }
+    lifetimeStats.tasksFinished = Math.max(0, lifetimeStats.tasksFinished - tasks.length);
+    lifetimeStats.hardTasksFinished = Math.max(0, lifetimeStats.hardTasksFinished -
+        tasks.filter(obj => parseInt(obj.difficulty) >= HARD_TASK_DIFFICULTY).length);
+    tasks.forEach((obj) => {
+        const index = lifetimeStats.finishDates.indexOf(obj.finishedOn);
+        if(index !== -1) {
+            lifetimeStats.finishDates.splice(index, 1);
+        }
+    });
+    saveAchievements();
+}
+
+/**
+ * Renders the profile view, with the user's lifetime stats and every
+ * achievement, locked or not.
+ * @param {Element} statsContainer The element to render the stats in.
+ * @param {Element} badgeContainer The element to render the badges in.
+ */
+function renderProfile(statsContainer, badgeContainer) {
+    const stats = getLifetimeStats();
+    const statRows = [
+        ["Total XP", stats.totalXP],
+        ["Tasks finished", stats.tasksFinished],
+        ["Hard tasks finished", stats.hardTasksFinished],
+        ["Quests completed", stats.questsCompleted],
+        ["Tracks completed", stats.tracksCompleted],
+        ["Current streak", `${stats.currentStreak} ${stats.currentStreak === 1 ? "day" : "days"}`],
+        ["Longest streak", `${stats.longestStreak} ${stats.longestStreak === 1 ? "day" : "days"}`],
+        ["Badges", `${Object.keys(unlockedAchievements).length}/${ACHIEVEMENTS.length}`],
+    ];
+    statsContainer.innerHTML = ``;
+    statRows.forEach((row) => {
+        const statDiv = document.createElement("div");
+        statDiv.classList.add("profile_stat");
+        const label = document.createElement("h3");
+        label.textContent = row[0];
+        const value = document.createElement("h2");
+        value.textContent = row[1];
+        statDiv.appendChild(label);
+        statDiv.appendChild(value);
+        statsContainer.appendChild(statDiv);
+    });
+
+    badgeContainer.innerHTML = ``;
+    ACHIEVEMENTS.forEach((achievement) => {
+        const unlockedAt = unlockedAchievements[achievement.id];
+        const badgeDiv = document.createElement("div");
+        badgeDiv.classList.add("profile_badge");
+        badgeDiv.classList.add(unlockedAt ? "unlocked" : "locked");
+        badgeDiv.title = unlockedAt ? `Unlocked ${new Date(unlockedAt).toLocaleDateString()}` : "Not unlocked yet";
+
+        const icon = document.createElement("i");
+        icon.classList.add("fa");
+        icon.classList.add(achievement.icon);
+        const name = document.createElement("h3");
+        name.textContent = achievement.name;
+        const description = document.createElement("p");
+        description.textContent = achievement.description;
+
+        badgeDiv.appendChild(icon);
+        badgeDiv.appendChild(name);
+        badgeDiv.appendChild(description);
+        badgeContainer.appendChild(badgeDiv);
+    });
+}
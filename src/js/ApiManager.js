@@ -0,0 +1,79 @@
+/*
+                                = API MANAGER =
+    The API manager talks to the server's event endpoints. Instead of sending
+    the whole board every time something changes, each change is sent as a
+    create, update or delete operation for a single event. Updates and deletes
+    include the version of the event they were based on, and the server
+    responds with 409 Conflict if someone else has changed it since.
+*/
+
+/**
+ * Creates an error describing a failed request.
+ * @param {Number} status The HTTP status code of the response.
+ * @param {Object} json The body of the response, if it had one. If it
+ * contains the server's copy of the event, it's kept on the error.
+ * @return {Error} An error with the properties status and serverEvent.
+ */
+function createApiError(status, json) {
+    const err = new Error(json.message || `The server responded with status ${status}.`);
+    err.status = status;
+    err.serverEvent = json.event || null;
+    return err;
+}
+
+/**
+ * Sends a single event operation to the server as the signed in user.
+ * @param {Object} operation An object with the properties operation
+ * ("create", "update" or "delete"), eventID, event (the event data to send)
+ * and baseVersion (the version of the event the change was based on).
+ * @return {Promise} A promise that resolves to the server's copy of the event
+ * after the change, or null for deletes. It rejects with an error from
+ * createApiError if the server responds with an error, or with the error from
+ * fetch if the server can't be reached.
+ */
+function sendEventOperation(operation) {
+    const headers = {};
+    let path = `/events/${encodeURIComponent(operation.eventID)}`;
+    const options = {
+        headers: headers,
+    };
+    switch (operation.operation) {
+        case "create":
+            path = "/events";
+            options.method = "POST";
+            options.body = JSON.stringify({event: operation.event});
+            break;
+        case "update":
+            options.method = "PUT";
+            headers["If-Match"] = `"${operation.baseVersion}"`;
+            options.body = JSON.stringify({event: operation.event});
+            break;
+        case "delete":
+            options.method = "DELETE";
+            headers["If-Match"] = `"${operation.baseVersion}"`;
+            break;
+        default:
+            return Promise.reject(new Error(`Unknown operation '${operation.operation}'.`));
+    }
+    return apiFetch(path, options)
+        .then(response => {
+            return response.json()
+                .catch(() => ({}))
+                .then(json => {
+                    if(!response.ok) {
+                        throw createApiError(response.status, json);
+                    }
+                    return json.event || null;
+                });
+        });
+}
+
+/**
+ * Checks if a failed request is worth trying again later. Requests the server
+ * rejected as invalid will fail the same way every time.
+ * @param {Number} status The HTTP status code of the response.
+ * @return {Boolean} True if the request should be retried.
+ */
+function isRetryableStatus(status) {
+    return status >= 500 || status === 408 || status === 429;
+}
@@ -0,0 +1,225 @@
+/*
+                               = AUTH MANAGER =
+    The auth manager keeps track of who is signed in. It handles signing in
+    and out, stores the session's tokens and refreshes them before they run
+    out. All requests to the API should go through apiFetch, which adds the
+    session's credentials to the request and deals with expired sessions.
+*/
+
+// Tokens are refreshed when they have less than this long left
+const TOKEN_REFRESH_MARGIN = 60000;
+
+var userSession = loadLocalSetting("session", null);
+let sessionRefreshPromise = null;
+
+/**
+ * Creates a session from the server's response to a sign in or refresh
+ * request, and saves it locally.
+ * @param {Object} json The response body, with the properties user, token,
+ * refreshToken and expiresIn (the token's lifetime in seconds).
+ * @return {Object} The new session.
+ */
+function startSession(json) {
+    userSession = {
+        user: json.user,
+        token: json.token,
+        refreshToken: json.refreshToken || null,
+        expiresAt: json.expiresIn ? Date.now() + json.expiresIn * 1000 : null,
+    };
+    saveLocalSetting("session", userSession);
+    return userSession;
+}
+
+/**
+ * Forgets the current session.
+ */
+function endSession() {
+    userSession = null;
+    saveLocalSetting("session", null);
+}
+
+/**
+ * Checks if a user is signed in.
+ * @return {Boolean} True if there is a session.
+ */
+function isSignedIn() {
+    return userSession !== null && Boolean(userSession.token);
+}
+
+/**
+ * Sends a request to one of the API's authentication endpoints.
+ * @param {String} path The path of the endpoint, e.g. "/auth/login".
+ * @param {Object} body The request body.
+ * @return {Promise} A promise that resolves to the response body, or rejects
+ * with an error that has a status property if the request failed.
+ */
+function sendAuthRequest(path, body) {
+    const options = {
+        method: "POST",
+        mode: "cors",
+        headers: {
+            "Content-Type": "application/json",
+        },
+        body: JSON.stringify(body),
+    };
+    return fetch(`${BASEURL}${path}`, options)
+        .then(response => {
+            return response.json()
+                .catch(() => ({}))
+                .then(json => {
+                    if(!response.ok) {
+                        throw createApiError(response.status, json);
+                    }
+                    return json;
+                });
+        });
+}
+
+/**
+ * Signs in with a username and password, and starts a new session. If the
+ * locally saved events belong to someone else, they are removed first.
+ * @param {String} username The username.
+ * @param {String} password The password.
+ * @return {Promise} A promise that resolves to the new session.
+ */
+function signIn(username, password) {
+    return sendAuthRequest("/auth/login", {username: username, password: password})
+        .then(json => {
+            const session = startSession(json);
+            if(loadLocalSetting("localDataOwner", null) === session.user) {
+                return session;
+            }
+            return clearLocalData()
+                .catch(err => console.warn(`Could not clear local data: ${err}`))
+                .then(() => {
+                    saveLocalSetting("localDataOwner", session.user);
+                    return session;
+                });
+        });
+}
+
+/**
+ * Gets a new token for the current session using its refresh token. If
+ * several requests need a new token at once, they share the same refresh.
+ * @return {Promise} A promise that resolves to the refreshed session, or
+ * rejects with a 401 error if the session can't be refreshed.
+ */
+function refreshSession() {
+    if(sessionRefreshPromise) {
+        return sessionRefreshPromise;
+    }
+    if(!userSession || !userSession.refreshToken) {
+        return Promise.reject(createApiError(401, {message: "Your session has expired."}));
+    }
+    sessionRefreshPromise = sendAuthRequest("/auth/refresh", {user: userSession.user, refreshToken: userSession.refreshToken})
+        .then(json => startSession(Object.assign({user: userSession.user}, json)))
+        .then(session => {
+            sessionRefreshPromise = null;
+            return session;
+        }, err => {
+            sessionRefreshPromise = null;
+            // Only a rejected refresh token means the session is over
+            if(err.status === 400 || err.status === 401 || err.status === 403) {
+                throw createApiError(401, {message: "Your session has expired."});
+            }
+            throw err;
+        });
+    return sessionRefreshPromise;
+}
+
+/**
+ * Signs out, both on the server and locally, and removes the locally saved
+ * events. The server is told on a best effort basis, since the local session
+ * is forgotten either way.
+ * @return {Promise} A promise that resolves when the session is over.
+ */
+function signOut() {
+    const session = userSession;
+    endSession();
+    let serverSignOut = Promise.resolve();
+    if(session) {
+        serverSignOut = fetch(`${BASEURL}/auth/logout`, {
+            method: "POST",
+            mode: "cors",
+            headers: {
+                "Content-Type": "application/json",
+                "User-Name": `${session.user}`,
+                "Board-Token": `${session.token}`,
+            },
+        }).catch(err => console.warn(`Could not sign out on the server: ${err}`));
+    }
+    return serverSignOut
+        .then(() => clearLocalData())
+        .catch(err => console.warn(`Could not clear local data: ${err}`))
+        .then(() => saveLocalSetting("localDataOwner", null));
+}
+
+/**
+ * Adds the current session's credentials to the options of a request.
+ * @param {Object} options The options for fetch.
+ * @return {Object} A copy of the options with the credential headers added.
+ */
+function addCredentials(options) {
+    const headers = Object.assign({"Content-Type": "application/json"}, options.headers, {
+        "User-Name": `${userSession.user}`,
+        "Board-Token": `${userSession.token}`,
+    });
+    return Object.assign({mode: "cors"}, options, {headers: headers});
+}
+
+/**
+ * Called when the server no longer accepts the session. The session is
+ * forgotten and the user is asked to sign in again.
+ * @return {Error} An error with status 401 for the caller to throw.
+ */
+function handleExpiredSession() {
+    endSession();
+    showLoginDialog("Your session has expired. Please sign in again.");
+    return createApiError(401, {message: "You are not signed in."});
+}
+
+/**
+ * Sends a request to the API with the signed in user's credentials. Tokens
+ * that are about to expire are refreshed first, and if the server still
+ * responds with 401 Unauthorized, the session is refreshed and the request is
+ * sent once more before the user is asked to sign in again.
+ * @param {String} path The path of the request, relative to BASEURL, e.g.
+ * "/events".
+ * @param {Object} options The options for fetch.
+ * @return {Promise} A promise that resolves to the Response. It rejects with
+ * an error that has status 401 if the user has to sign in again.
+ */
+function apiFetch(path, options = {}) {
+    if(!isSignedIn()) {
+        return Promise.reject(handleExpiredSession());
+    }
+    const url = `${BASEURL}${path}`;
+    let tokenCheck = Promise.resolve();
+    if(userSession.expiresAt && userSession.expiresAt - Date.now() < TOKEN_REFRESH_MARGIN) {
+        tokenCheck = refreshSession().catch(err => {
+            if(err.status === 401) {
+                throw handleExpiredSession();
+            }
+            // The old token might still work if the server just couldn't be
+            // reached for the refresh.
+        });
+    }
+    return tokenCheck
+        .then(() => fetch(url, addCredentials(options)))
+        .then(response => {
+            if(response.status !== 401) {
+                return response;
+            }
+            return refreshSession()
+                .catch(err => {
+                    throw (err.status === 401) ? handleExpiredSession() : err;
+                })
+                .then(() => fetch(url, addCredentials(options)))
+                .then(retryResponse => {
+                    if(retryResponse.status === 401) {
+                        throw handleExpiredSession();
+                    }
+                    return retryResponse;
+                });
+        });
+}
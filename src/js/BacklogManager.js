@@ -0,0 +1,160 @@
+/*
+                              = BACKLOG MANAGER =
+    The backlog manager keeps track of tasks that should have been finished
+    on a day that has already passed. They're listed in the backlog, where
+    they can be moved to today or to another day. Moving a task forward
+    doesn't make it worth full XP again: every day it's carried over costs a
+    share of its XP, which the user can set. Overdue tasks can also be moved
+    to today automatically once a new day starts.
+*/
+
+// decayPerDay is the share of a task's XP it loses for each day it's carried
+// over. lastRollForward is the last date (DD-MM-YYYY) overdue tasks were
+// moved to today automatically, so it only happens once a day.
+const DEFAULT_BACKLOG_SETTINGS = {
+    autoRollForward: false,
+    decayPerDay: 0.1,
+    lastRollForward: null,
+};
+
+var backlogSettings = Object.assign({}, DEFAULT_BACKLOG_SETTINGS);
+
+/**
+ * Loads the backlog settings of a user.
+ * @param {String} user The user, or null for the defaults.
+ */
+function loadBacklogSettings(user) {
+    backlogSettings = Object.assign({}, DEFAULT_BACKLOG_SETTINGS);
+    if(user) {
+        backlogSettings = Object.assign(backlogSettings, loadLocalSetting(`backlogSettings_${user}`, {}));
+    }
+}
+
+/**
+ * Saves the signed in user's backlog settings.
+ */
+function saveBacklogSettings() {
+    if(!userSession) {
+        return;
+    }
+    saveLocalSetting(`backlogSettings_${userSession.user}`, backlogSettings);
+}
+
+/**
+ * Changes how overdue tasks are carried over.
+ * @param {Boolean} autoRollForward If true, overdue tasks are moved to today
+ * when a new day starts.
+ * @param {Number|String} decayPercent The percentage of a task's XP it loses
+ * for each day it's carried over, as a number or as the string value of an
+ * input.
+ * @return {Boolean} True if the settings were valid and saved.
+ */
+function setBacklogSettings(autoRollForward, decayPercent) {
+    const decay = parseFloat(decayPercent);
+    if(isNaN(decay) || decay < 0 || decay > 100) {
+        return false;
+    }
+    backlogSettings.autoRollForward = autoRollForward;
+    backlogSettings.decayPerDay = decay / 100;
+    // Turning it on shouldn't move anything until the next day starts
+    if(autoRollForward) {
+        backlogSettings.lastRollForward = getDateStringFromDate(new Date());
+    }
+    saveBacklogSettings();
+    return true;
+}
+
+/**
+ * Finds the tasks that should have been finished on a day that has already
+ * passed. Only tasks the user can edit count, and repeating tasks are left
+ * out, since every missed occurrence would pile up.
+ * @param {Array} eventList The list of events.
+ * @return {Array} The overdue tasks, oldest first.
+ */
+function getOverdueTasks(eventList) {
+    const today = parseDateString(getDateStringFromDate(new Date()));
+    return eventList.filter((obj) => {
+        return obj.type === "task" && obj.finished !== true && !obj.recurrence &&
+            isBoardVisible(getEventBoard(obj)) && canEditEvent(obj) &&
+            getDaysBetween(parseDateString(getEventEndDate(obj)), today) > 0;
+    }).sort((a, b) => getDaysBetween(parseDateString(b.date), parseDateString(a.date)));
+}
+
+/**
+ * Moves an overdue task to today or a later day. Multi-day tasks keep their
+ * length. The days the task was overdue are added to its carriedOverDays,
+ * so it still loses XP for them when it's finished.
+ * @param {CalendarEvent} task The task, as returned by getOverdueTasks.
+ * @param {String} dateString The day to move the task to, in DD-MM-YYYY
+ * format.
+ * @return {Boolean} True if the task was moved, false if the day has already
+ * passed.
+ */
+function moveOverdueTask(task, dateString) {
+    const today = parseDateString(getDateStringFromDate(new Date()));
+    if(getDaysBetween(today, parseDateString(dateString)) < 0) {
+        return false;
+    }
+    const dayOffset = getDaysBetween(parseDateString(task.date), parseDateString(dateString));
+    task.carriedOverDays += Math.max(0, getDaysBetween(parseDateString(task.date), today));
+    task.date = dateString;
+    if(task.endDate) {
+        task.endDate = addDaysToDateString(task.endDate, dayOffset);
+    }
+    return true;
+}
+
+/**
+ * Checks if overdue tasks should be moved to today automatically, which
+ * happens once a day when the user has turned it on. The day is remembered
+ * right away, so the tasks are only returned once.
+ * @param {Array} eventList The list of events.
+ * @return {Array} The overdue tasks to move to today, which is empty if
+ * there is nothing to move.
+ */
+function checkRollForward(eventList) {
+    const today = getDateStringFromDate(new Date());
+    if(!backlogSettings.autoRollForward || backlogSettings.lastRollForward === today) {
+        return [];
+    }
+    backlogSettings.lastRollForward = today;
+    saveBacklogSettings();
+    return getOverdueTasks(eventList);
+}
+
+/**
+ * Renders the backlog card of the right side menu, with a row for every
+ * overdue task. Each row has the ID of its task in data-eventid.
+ * @param {Element} container The backlog card.
+ * @param {Array} eventList The list of events.
+ */
+function renderBacklog(container, eventList) {
+    const overdueTasks = getOverdueTasks(eventList);
+    const today = parseDateString(getDateStringFromDate(new Date()));
+    const listEl = container.querySelector("#backlog_list");
+    listEl.innerHTML = ``;
+    overdueTasks.forEach((obj) => {
+        const daysOverdue = getDaysBetween(parseDateString(obj.date), today);
+        const rescheduleInput = buildElement("input", {classes: ["backlog_reschedule_input"], title: "Move to another day"});
+        rescheduleInput.type = "date";
+        rescheduleInput.min = getInputValueFromDateString(getDateStringFromDate(today));
+        listEl.appendChild(buildElement("li", {
+            classes: ["backlog_task"],
+            dataset: {eventid: obj.id},
+            children: [
+                buildElement("h3", {classes: ["backlog_task_name"], text: obj.name}),
+                buildElement("p", {
+                    classes: ["backlog_task_date"],
+                    text: `${obj.date}, ${daysOverdue} ${daysOverdue === 1 ? "day" : "days"} overdue`,
+                }),
+                buildElement("button", {classes: ["backlog_today_button"], text: "Today"}),
+                rescheduleInput,
+            ],
+        }));
+    });
+    container.querySelector("#backlog_status").textContent = (overdueTasks.length === 0) ?
+        "No overdue tasks." : `${overdueTasks.length} overdue ${overdueTasks.length === 1 ? "task" : "tasks"}`;
+    container.querySelector("#backlog_move_all_button").disabled = overdueTasks.length === 0;
+    container.querySelector("#backlog_input_auto").checked = backlogSettings.autoRollForward;
+    container.querySelector("#backlog_input_decay").value = Math.round(backlogSettings.decayPerDay * 100);
+}
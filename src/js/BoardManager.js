@@ -0,0 +1,337 @@
+/*
+                               = BOARD MANAGER =
+    The board manager keeps track of the boards the user can see. Every user
+    has a board of their own, and can invite other users to it as guests with
+    either read-only or edit rights. The boards the user is a guest on are
+    shown on top of their own in the calendar, each in its own color.
+*/
+
+const BOARD_PERMISSIONS = ["read", "edit"];
+const BOARD_COLORS = ["#6fb98f", "#e2a03f", "#5fa8d3", "#c96480", "#9b7ed1", "#d8c35b"];
+
+// Each board has the properties owner, permission ("owner", "edit" or
+// "read"), guests (an array of {user, permission}), color and visible.
+var globalBoardList = [];
+
+/**
+ * Creates a board object from the server's data, using the color and
+ * visibility the user has chosen for it before, if any.
+ * @param {Object} boardData The board as sent by the server.
+ * @param {Number} index The position of the board in the list, used to pick a
+ * default color.
+ * @return {Object} The board.
+ */
+function createBoard(boardData, index) {
+    const settings = loadLocalSetting("boardSettings", {})[boardData.owner] || {};
+    return {
+        owner: boardData.owner,
+        permission: boardData.permission || "read",
+        guests: boardData.guests || [],
+        color: settings.color || BOARD_COLORS[index % BOARD_COLORS.length],
+        visible: settings.visible !== false,
+    };
+}
+
+/**
+ * Saves the color and visibility of every board, and the list itself so it's
+ * available offline.
+ */
+function saveBoardSettings() {
+    const settings = loadLocalSetting("boardSettings", {});
+    globalBoardList.forEach((board) => {
+        settings[board.owner] = {color: board.color, visible: board.visible};
+    });
+    saveLocalSetting("boardSettings", settings);
+    saveLocalSetting("boards", globalBoardList.map((board) => {
+        return {owner: board.owner, permission: board.permission, guests: board.guests};
+    }));
+}
+
+/**
+ * Replaces the board list with the specified boards. The user's own board is
+ * always first, even if the server didn't include it.
+ * @param {Array} boardDataList The boards as sent by the server.
+ * @return {Array} The new board list.
+ */
+function setBoardList(boardDataList) {
+    const ownBoard = boardDataList.find(obj => obj.owner === userSession.user) || {owner: userSession.user, guests: []};
+    const otherBoards = boardDataList.filter(obj => obj.owner !== userSession.user);
+    globalBoardList = [Object.assign({}, ownBoard, {permission: "owner"})].concat(otherBoards).map(createBoard);
+    saveBoardSettings();
+    return globalBoardList;
+}
+
+/**
+ * Fetches the list of boards the signed in user owns or is a guest on. If the
+ * server can't be reached, the last known list is used.
+ * @return {Promise} A promise that resolves to the board list.
+ */
+function loadBoardList() {
+    return apiFetch("/boards", {method: "GET"})
+        .then(response => {
+            return response.json()
+                .catch(() => ({}))
+                .then(json => {
+                    if(!response.ok) {
+                        throw createApiError(response.status, json);
+                    }
+                    return setBoardList(json.boards || []);
+                });
+        })
+        .catch(err => {
+            if(err.status === 401) {
+                throw err;
+            }
+            console.warn(`Could not load the board list: ${err}`);
+            return setBoardList(loadLocalSetting("boards", []));
+        });
+}
+
+/**
+ * Fetches the events of a board, and marks each of them with the board they
+ * belong to.
+ * @param {Object} board The board.
+ * @return {Promise} A promise that resolves to an array of plain event
+ * objects.
+ */
+function fetchBoardEvents(board) {
+    return apiFetch(`/u=${encodeURIComponent(board.owner)}`, {method: "GET"})
+        .then(response => {
+            return response.json()
+                .catch(() => ({}))
+                .then(json => {
+                    if(!response.ok) {
+                        throw createApiError(response.status, json);
+                    }
+                    return (json.events || []).map((obj) => {
+                        return Object.assign({}, obj, {board: board.owner});
+                    });
+                });
+        });
+}
+
+/**
+ * Finds a board in the board list.
+ * @param {String} owner The owner of the board.
+ * @return {Object} The board, or undefined if the user can't see it.
+ */
+function findBoard(owner) {
+    return globalBoardList.find(obj => obj.owner === owner);
+}
+
+/**
+ * Returns the owner of the board an event belongs to. Events that were
+ * created before boards could be shared belong to the user's own board.
+ * @param {CalendarEvent} event The event.
+ * @return {String} The owner of the event's board.
+ */
+function getEventBoard(event) {
+    if(event.board) {
+        return event.board;
+    }
+    return userSession ? userSession.user : null;
+}
+
+/**
+ * Checks if the signed in user is allowed to change an event.
+ * @param {CalendarEvent} event The event.
+ * @return {Boolean} True if the user owns the event's board, or is a guest on
+ * it with edit rights.
+ */
+function canEditEvent(event) {
+    const owner = getEventBoard(event);
+    if(userSession && owner === userSession.user) {
+        return true;
+    }
+    const board = findBoard(owner);
+    return Boolean(board) && board.permission === "edit";
+}
+
+/**
+ * Checks if the events of a board should be shown in the calendar.
+ * @param {String} owner The owner of the board.
+ * @return {Boolean} False if the user has hidden the board.
+ */
+function isBoardVisible(owner) {
+    const board = findBoard(owner);
+    return !board || board.visible;
+}
+
+/**
+ * Returns the color an event is shown in, which is the color of its board.
+ * @param {CalendarEvent} event The event.
+ * @return {String} A CSS color.
+ */
+function getEventBoardColor(event) {
+    const board = findBoard(getEventBoard(event));
+    return board ? board.color : BOARD_COLORS[0];
+}
+
+/**
+ * Returns the boards the signed in user is allowed to add events to.
+ * @return {Array} The user's own board, followed by the boards they have edit
+ * rights on.
+ */
+function getEditableBoards() {
+    return globalBoardList.filter(obj => obj.permission === "owner" || obj.permission === "edit");
+}
+
+/**
+ * Sends a change to the guest list of the user's own board to the server, and
+ * updates the local copy with the server's response.
+ * @param {String} method "POST" to invite, "PUT" to change a guest's rights
+ * or "DELETE" to remove a guest.
+ * @param {String} guest The username of the guest.
+ * @param {String} permission "read" or "edit". Not used for DELETE.
+ * @return {Promise} A promise that resolves to the updated guest list.
+ */
+function sendGuestChange(method, guest, permission) {
+    const ownBoard = globalBoardList[0];
+    let path = `/boards/${encodeURIComponent(ownBoard.owner)}/guests`;
+    if(method !== "POST") {
+        path += `/${encodeURIComponent(guest)}`;
+    }
+    const options = {method: method};
+    if(method !== "DELETE") {
+        options.body = JSON.stringify({user: guest, permission: permission});
+    }
+    return apiFetch(path, options)
+        .then(response => {
+            return response.json()
+                .catch(() => ({}))
+                .then(json => {
+                    if(!response.ok) {
+                        throw createApiError(response.status, json);
+                    }
+                    if(json.guests) {
+                        ownBoard.guests = json.guests;
+                    } else if(method === "DELETE") {
+                        ownBoard.guests = ownBoard.guests.filter(obj => obj.user !== guest);
+                    } else {
+                        ownBoard.guests = ownBoard.guests.filter(obj => obj.user !== guest)
+                            .concat([{user: guest, permission: permission}]);
+                    }
+                    saveBoardSettings();
+                    return ownBoard.guests;
+                });
+        });
+}
+
+/**
+ * Invites a user to the signed in user's board.
+ * @param {String} guest The username of the user to invite.
+ * @param {String} permission "read" or "edit".
+ * @return {Promise} A promise that resolves to the updated guest list.
+ */
+function inviteGuest(guest, permission) {
+    if(!BOARD_PERMISSIONS.includes(permission)) {
+        return Promise.reject(new Error(`Unknown permission '${permission}'.`));
+    }
+    if(guest === userSession.user) {
+        return Promise.reject(new Error("You can't invite yourself."));
+    }
+    return sendGuestChange("POST", guest, permission);
+}
+
+/**
+ * Changes what a guest is allowed to do on the signed in user's board.
+ * @param {String} guest The username of the guest.
+ * @param {String} permission "read" or "edit".
+ * @return {Promise} A promise that resolves to the updated guest list.
+ */
+function changeGuestPermission(guest, permission) {
+    if(!BOARD_PERMISSIONS.includes(permission)) {
+        return Promise.reject(new Error(`Unknown permission '${permission}'.`));
+    }
+    return sendGuestChange("PUT", guest, permission);
+}
+
+/**
+ * Removes a guest from the signed in user's board.
+ * @param {String} guest The username of the guest.
+ * @return {Promise} A promise that resolves to the updated guest list.
+ */
+function removeGuest(guest) {
+    return sendGuestChange("DELETE", guest);
+}
+
+/**
+ * Renders the list of boards in the side menu, where each board's color and
+ * visibility can be changed.
+ * @param {Element} container The element to render the list in.
+ */
+function renderBoardList(container) {
+    container.innerHTML = ``;
+    globalBoardList.forEach((board) => {
+        const boardDiv = document.createElement("div");
+        boardDiv.classList.add("board_list_item");
+        boardDiv.dataset.board = board.owner;
+
+        const visibleInput = document.createElement("input");
+        visibleInput.type = "checkbox";
+        visibleInput.classList.add("board_input_visible");
+        visibleInput.checked = board.visible;
+        visibleInput.title = "Show in calendar";
+
+        const colorInput = document.createElement("input");
+        colorInput.type = "color";
+        colorInput.classList.add("board_input_color");
+        colorInput.value = board.color;
+
+        const nameLabel = document.createElement("span");
+        nameLabel.classList.add("board_name");
+        if(board.permission === "owner") {
+            nameLabel.textContent = "My board";
+        } else {
+            nameLabel.textContent = `${board.owner}${board.permission === "read" ? " (read only)" : ""}`;
+        }
+
+        boardDiv.appendChild(visibleInput);
+        boardDiv.appendChild(colorInput);
+        boardDiv.appendChild(nameLabel);
+        container.appendChild(boardDiv);
+    });
+}
+
+/**
+ * Renders the guests of the signed in user's board, with controls to change
+ * their rights or remove them.
+ * @param {Element} container The element to render the list in.
+ */
+function renderGuestList(container) {
+    container.innerHTML = ``;
+    const ownBoard = globalBoardList[0];
+    if(!ownBoard || ownBoard.guests.length === 0) {
+        const emptyLabel = document.createElement("p");
+        emptyLabel.textContent = "Nobody else can see your board.";
+        container.appendChild(emptyLabel);
+        return;
+    }
+    ownBoard.guests.forEach((guest) => {
+        const guestDiv = document.createElement("div");
+        guestDiv.classList.add("guest_list_item");
+        guestDiv.dataset.guest = guest.user;
+
+        const nameLabel = document.createElement("span");
+        nameLabel.textContent = guest.user;
+
+        const permissionInput = document.createElement("select");
+        permissionInput.classList.add("guest_input_permission");
+        BOARD_PERMISSIONS.forEach((permission) => {
+            const option = document.createElement("option");
+            option.value = permission;
+            option.textContent = (permission === "edit") ? "Can edit" : "Read only";
+            permissionInput.appendChild(option);
+        });
+        permissionInput.value = guest.permission;
+
+        const removeButton = document.createElement("button");
+        removeButton.classList.add("guest_button_remove");
+        removeButton.textContent = "Remove";
+
+        guestDiv.appendChild(nameLabel);
+        guestDiv.appendChild(permissionInput);
+        guestDiv.appendChild(removeButton);
+        container.appendChild(guestDiv);
+    });
+}
@@ -20,94 +20,220 @@ class CalendarDay {
         }
 
         // TODO: This currently renders duplicates when adding an event. 
-        this.eventList.forEach(obj => {
+        this.eventList.filter(matchesCategoryFilter).forEach(obj => {
             const nameLabel = document.createElement("p");
             nameLabel.textContent = obj.name;
             nameLabel.classList.add("event_preview_name");
+            // Multi-day events are drawn as a bar that continues from cell to
+            // cell. The name is only repeated at the start of each week.
+            const spanDays = getEventSpanDays(obj);
+            let showName = true;
+            if(spanDays > 0) {
+                const dayIndex = getDaysBetween(parseDateString(obj.date), parseDateString(this.date));
+                if(dayIndex === 0) {
+                    nameLabel.classList.add("event_span_start");
+                } else if(dayIndex === spanDays) {
+                    nameLabel.classList.add("event_span_end");
+                } else {
+                    nameLabel.classList.add("event_span_middle");
+                }
+                if(dayIndex > 0 && getWeekdayIndex(parseDateString(this.date)) !== 0) {
+                    nameLabel.textContent = "\u00a0";
+                    showName = false;
+                }
+            } else if(obj.allDay) {
+                nameLabel.classList.add("event_preview_allday");
+            }
             nameLabel.classList.add(`event_type_${obj.type}`);
+            applyEventCategory(obj, nameLabel, showName ? nameLabel : null);
+            if(obj.seriesID) {
+                nameLabel.classList.add("event_preview_recurring");
+            }
 
             const newDiv = document.createElement("div");
             newDiv.id = `event_${obj.id}`;
             newDiv.classList.add("event_preview");
+            newDiv.style.setProperty("--board-color", getEventBoardColor(obj));
+            newDiv.title = `${obj.name}, ${describeEventTime(obj, this.date)} (${getEventBoard(obj)}'s board)`;
+            // Single events can be moved to another day by dragging them, or
+            // with the arrow keys. Occurrences move with their series.
+            if(!obj.seriesID && canEditEvent(obj)) {
+                newDiv.classList.add("draggable");
+                newDiv.draggable = true;
+                newDiv.tabIndex = 0;
+                newDiv.dataset.eventid = obj.id;
+                newDiv.title += "\nDrag to another day, or use the arrow keys, to move it.";
+            }
             newDiv.appendChild(nameLabel);
 
             dayDiv.appendChild(newDiv);
         });
     }
     renderEventList(container) {
-        // TODO: For this implementation to be ideal, all data sent between
-        // client and server has to be strictly validated and secured.
+        // Everything the user or the server has written is set as text, or
+        // rendered by renderMarkdown, so markup in an event is never run.
         container.innerHTML = ``;
         this.eventList.forEach(obj => {
-            // If the event is a task, it should have a checkbox and XP display
-            let xpDisplay = "";
-            let difficultyDisplay = "";
-            let checkBox = "";
-            let checkBoxValue = ""; 
-            let nameClass = "";
-            if(obj.finished === true) {
-                nameClass = "event_name_finished";
-            }
-            else {
-                nameClass = "event_name_unfinished";
+            // Read-only guests get no controls that change the event
+            const editable = canEditEvent(obj);
+            const owner = getEventBoard(obj);
+            const createControl = (className, icon, title) => {
+                return buildElement("div", {
+                    classes: [className],
+                    dataset: {parentevent: obj.id},
+                    title: title,
+                    children: [buildElement("i", {classes: ["fa", icon]})],
+                });
+            };
+            let boardDisplay = null;
+            if(userSession && owner !== userSession.user) {
+                boardDisplay = buildElement("h3", {
+                    classes: ["event_header_board"],
+                    text: `${owner}'s board${editable ? "" : " (read only)"}`,
+                });
             }
+            // If the event is a task, it should have a checkbox and XP display
+            let xpDisplay = null;
+            let difficultyDisplay = null;
+            let checkBox = null;
+            let reopenControl = null;
             if(obj.type === "task") {
-                checkBoxValue = obj.checked ? "checked" : "unchecked";
-                if(obj.finished === false) {
-                    xpDisplay = `<h3 class="event_header_xp_value"><span>${obj.xpValue}</span> XP</h3>`;
-                    checkBox = `<div class="event_main_checkbox ${checkBoxValue}" id="event_checkbox_${obj.id}" data-parentevent=${obj.id}></div>`;
+                xpDisplay = buildElement("h3", {
+                    classes: ["event_header_xp_value"],
+                    children: [buildElement("span", {text: obj.xpValue}), document.createTextNode(" XP")],
+                });
+                if(obj.finished === true) {
+                    xpDisplay.classList.add("earned");
+                    if(editable) {
+                        reopenControl = createControl("event_footer_controlpanel_reopen", "fa-undo", "Mark as not done");
+                    }
+                } else if(editable) {
+                    checkBox = buildElement("div", {
+                        classes: ["event_main_checkbox", obj.checked ? "checked" : "unchecked"],
+                        dataset: {parentevent: obj.id},
+                    });
+                    checkBox.id = `event_checkbox_${obj.id}`;
                 }
-                else {
-                    checkBox = "";
-                    xpDisplay = `<h3 class="event_header_xp_value earned"><span>${obj.xpValue}</span> XP</h3>`;
+                difficultyDisplay = buildElement("h3", {classes: ["event_details_difficulty"], text: `Difficulty: ${obj.difficulty}`});
+            }
+            let recurrenceDisplay = null;
+            let endSeriesControl = null;
+            if(obj.seriesID) {
+                const series = findSeries(obj, globalEventList);
+                if(series) {
+                    recurrenceDisplay = buildElement("h3", {
+                        classes: ["event_details_recurrence"],
+                        text: `Repeats: ${describeRecurrence(series.recurrence, series.date)}`,
+                    });
                 }
-                difficultyDisplay = `<h3 class="event_details_difficulty">Difficulty: ${obj.difficulty}</h3>`;
+                if(editable) {
+                    endSeriesControl = createControl("event_footer_controlpanel_endseries", "fa-stop-circle");
+                }
+            }
 
+            const category = getEventCategory(obj);
+            const checklist = getChecklistProgress(obj);
+            let checklistDisplay = null;
+            if(checklist.total > 0) {
+                checklistDisplay = buildElement("h3", {
+                    classes: ["event_details_checklist_progress"],
+                    text: `Checklist: ${checklist.done}/${checklist.total} done`,
+                });
             }
-            const eventDiv = document.createElement("div");
-            eventDiv.classList.add(`schedule_event`);
-            eventDiv.classList.add(`event_type_${obj.type}`);
+            const detailsDiv = buildElement("div", {
+                classes: ["schedule_event_details"],
+                children: [
+                    category ? buildElement("h3", {classes: ["event_details_category"], text: `Category: ${category.name}`}) : null,
+                    checklistDisplay,
+                    renderChecklist(obj, editable && obj.finished !== true),
+                    difficultyDisplay,
+                    recurrenceDisplay,
+                    buildElement("h3", {classes: ["event_details_start"], text: `Start: ${obj.date}${obj.allDay ? "" : ` ${obj.startTime}`}`}),
+                    buildElement("h3", {classes: ["event_details_start"], text: `End: ${getEventEndDate(obj)}${obj.allDay ? "" : ` ${obj.endTime}`}`}),
+                    buildElement("h3", {classes: ["event_details_location"], text: "Location: N/A"}),
+                ],
+            });
+            detailsDiv.style.display = "none";
+            const nameHeader = buildElement("h2", {
+                classes: ["schedule_event_name", (obj.finished === true) ? "event_name_finished" : "event_name_unfinished"],
+                text: obj.name,
+            });
+
+            const eventDiv = buildElement("div", {
+                classes: ["schedule_event", `event_type_${obj.type}`],
+                children: [
+                    buildElement("div", {
+                        classes: ["schedule_event_header"],
+                        children: [
+                            boardDisplay,
+                            buildElement("h3", {
+                                classes: ["event_header_time"],
+                                text: `${describeEventTime(obj, this.date)}${(checklist.total > 0) ? `, ${checklist.done}/${checklist.total} items` : ""}`,
+                            }),
+                            xpDisplay,
+                        ],
+                    }),
+                    buildElement("div", {
+                        classes: ["schedule_event_main"],
+                        children: [
+                            nameHeader,
+                            checkBox,
+                        ],
+                    }),
+                    document.createElement("hr"),
+                    buildElement("div", {
+                        classes: ["schedule_event_footer"],
+                        children: [
+                            buildElement("div", {classes: ["event_footer_description"], children: [renderMarkdown(obj.description)]}),
+                            buildElement("div", {
+                                classes: ["event_footer_controlpanel"],
+                                children: [
+                                    editable ? createControl("event_footer_controlpanel_delete", "fa-trash") : null,
+                                    editable ? createControl("event_footer_controlpanel_edit", "fa-edit") : null,
+                                    reopenControl,
+                                    createControl("event_footer_controlpanel_expand", "fa-list"),
+                                    endSeriesControl,
+                                ],
+                            }),
+                        ],
+                    }),
+                    detailsDiv,
+                ],
+            });
             if(obj.finished === true) {
                 eventDiv.classList.add("event_div_finished");
             }
-            eventDiv.innerHTML = `
-                <div class="schedule_event_header">
-                    <h3 class="event_header_time">${obj.startTime} - ${obj.endTime}</h3>
-                    ${xpDisplay}
-                </div>
-                <div class="schedule_event_main">
-                    <h2 class="schedule_event_name ${nameClass}">${obj.name}</h2>
-                    ${checkBox}
-                </div>
-                <hr>
-                <div class="schedule_event_footer">
-                    <p class="event_footer_description">${obj.description}</p>
-                    <div class="event_footer_controlpanel">
-                        <div class="event_footer_controlpanel_delete" data-parentevent=${obj.id}><i class="fa fa-trash"></i></div>
-                        <div class="event_footer_controlpanel_edit" data-parentevent=${obj.id}><i class="fa fa-edit"></i></div>
-                        <div class="event_footer_controlpanel_expand" data-parentevent=${obj.id}><i class="fa fa-list"></i></div>
-                    </div>
-                </div>
-                <div class="schedule_event_details" style="display: none">
-                    ${difficultyDisplay}
-                    <h3 class="event_details_start">Start: ${obj.startTime}</h3>    
-                    <h3 class="event_details_start">End: ${obj.endTime}</h3>    
-                    <h3 class="event_details_location">Location: N/A</h3>    
-                </div>
-            `;
+            if(obj.allDay || getEventSpanDays(obj) > 0) {
+                eventDiv.classList.add("event_div_allday");
+            }
+            if(!editable) {
+                eventDiv.classList.add("event_div_readonly");
+            }
+            eventDiv.style.setProperty("--board-color", getEventBoardColor(obj));
+            applyEventCategory(obj, eventDiv, nameHeader);
             container.appendChild(eventDiv);
         });
     }
     renderSummary(container) {
         container.innerHTML = ``;
         const summary = this.calculateSummary();
-        const summaryDiv = document.createElement("div");
-        summaryDiv.classList.add(`day_view_full_summary_info`);
-
-        summaryDiv.innerHTML = `
-            <h3>Total XP: <span class="xp_earned">${summary.earnedXP}</span>/<span class="xp_available">${summary.totalXP}</span></h3>
-            <h3>Tasks: <span class="tasks_done">${summary.finishedTasks}</span>/<span class="tasks_available">${summary.totalTasks}</span></h3>
-        `;
+        const createTotal = (label, doneClass, done, availableClass, available) => {
+            return buildElement("h3", {
+                children: [
+                    document.createTextNode(`${label}: `),
+                    buildElement("span", {classes: [doneClass], text: done}),
+                    document.createTextNode("/"),
+                    buildElement("span", {classes: [availableClass], text: available}),
+                ],
+            });
+        };
+        const summaryDiv = buildElement("div", {
+            classes: ["day_view_full_summary_info"],
+            children: [
+                createTotal("Total XP", "xp_earned", summary.earnedXP, "xp_available", summary.totalXP),
+                createTotal("Tasks", "tasks_done", summary.finishedTasks, "tasks_available", summary.totalTasks),
+            ],
+        });
         container.appendChild(summaryDiv);
     }
     renderControlPanel(buttonElement) {
@@ -115,7 +241,7 @@ class CalendarDay {
         let checkedEvents = 0;
         for(let i = 0; i < this.eventList.length; i++) {
             const obj = this.eventList[i];
-            if(obj.checked === true) {
+            if(obj.checked === true || obj.checkedItems.length > 0) {
                 checkedEvents++;
             }
         }
@@ -137,24 +263,27 @@ class CalendarDay {
     // TODO: Can I make this less dependent on the class names matching/make it
     // more reusable? Do I need to?
     renderDashBoard() {
-        let nextEvent;
         const nextEventTimeEl = document.querySelector("#next_event_header_time");
         const nextEventXPEl = document.querySelector("#next_event_header_xp");
         const nextEventNameEl = document.querySelector("#next_event_body_name");
         const nextEventDescEl = document.querySelector("#next_event_body_description");
-        for(let i = 0; i < this.eventList.length; i++) {
-            let event = this.eventList[i];
-            if(event.type != "reminder" && !event.isFinished) {
-                nextEvent = event;
-                break;
-            }
-        }
-        
+        const nextEvent = this.findNextEvent(new Date());
+
         if(nextEvent) {
-            nextEventTimeEl.textContent = nextEvent.startTime;
-            // TODO: Using innerHTML so that the span doesn't get overwritten. Is
-            // there a better way to do this?
-            nextEventXPEl.innerHTML = (nextEvent.type === "task") ? `<span>${nextEvent.xpValue}</span> XP` : ``;
+            const minutes = getEventMinutesOnDate(nextEvent, this.date);
+            const now = new Date();
+            if(nextEvent.allDay) {
+                nextEventTimeEl.textContent = "All day";
+            } else if(minutes.start <= now.getHours() * 60 + now.getMinutes()) {
+                nextEventTimeEl.textContent = "Now";
+            } else {
+                nextEventTimeEl.textContent = nextEvent.startTime;
+            }
+            nextEventXPEl.textContent = ``;
+            if(nextEvent.type === "task") {
+                nextEventXPEl.appendChild(buildElement("span", {text: nextEvent.xpValue}));
+                nextEventXPEl.appendChild(document.createTextNode(" XP"));
+            }
 
             nextEventNameEl.textContent = nextEvent.name;
             nextEventDescEl.textContent = nextEvent.description;
@@ -166,22 +295,51 @@ class CalendarDay {
             nextEventDescEl.textContent = `You have no more events scheduled for today.`;
         }
     }
+    // Finds the event the user should pay attention to next: the one that is
+    // going on or starts the soonest, leaving out reminders and finished
+    // events. Events that have already ended don't count, and all-day events
+    // only count if nothing else is left.
+    findNextEvent(now) {
+        const nowMinutes = (this.date === getDateStringFromDate(now)) ? now.getHours() * 60 + now.getMinutes() : 0;
+        const candidates = this.eventList.filter((obj) => {
+            return obj.type !== "reminder" && obj.finished !== true &&
+                getEventMinutesOnDate(obj, this.date).end > nowMinutes;
+        });
+        const timedEvents = candidates.filter(obj => !obj.allDay).sort((a, b) => {
+            return getEventMinutesOnDate(a, this.date).start - getEventMinutesOnDate(b, this.date).start;
+        });
+        return timedEvents[0] || candidates[0] || null;
+    }
     // Goes through the global list of events and rebuilds this CalendarDay's
     // event list with any events that match its date.
     refreshEventList() {
         // TODO: Don't rely on a global variable. Find where this can be passed
         // as an argument instead.
-        let matchingEvents = globalEventList.filter((obj) => {
+        // Events on boards the user has hidden are left out
+        const visibleEvents = globalEventList.filter((obj) => {
+            return isBoardVisible(getEventBoard(obj));
+        });
+        let matchingEvents = visibleEvents.filter((obj) => {
             // TODO: Is this a proper usage of filter? It works but it feels
             // dirty somehow.
-            if(obj.date.toString().trim() === this.date.toString().trim()) {
-                return true;
-            }
-            else {
+            // Repeating events are handled below, as occurrences.
+            if(obj.recurrence) {
                 return false;
             }
+            // Multi-day events are included on every day they cover
+            return eventCoversDate(obj, this.date);
         });
+        matchingEvents = matchingEvents.concat(getOccurrencesOnDate(visibleEvents, this.date));
+        // All-day and multi-day events come first, in the order they started,
+        // so their bars line up from one day to the next in the month grid.
         const sortedEvents = matchingEvents.sort((a, b) => {
+            const spanA = a.allDay || getEventSpanDays(a) > 0;
+            const spanB = b.allDay || getEventSpanDays(b) > 0;
+            if(spanA !== spanB) {
+                return spanA ? -1 : 1;
+            } else if(spanA) {
+                return parseDateString(a.date) - parseDateString(b.date);
+            }
             let timeA = parseInt(a.startTime.slice(0,2));
             let timeB = parseInt(b.startTime.slice(0,2));
             if(timeA < timeB) {
@@ -212,36 +370,57 @@ class CalendarDay {
                 totalTasks++;
             }
 
-            let XP = 0;
-            switch (obj.difficulty) {
-                case 1:
-                    XP = 150;
-                    totalXP += XP;
-                    break;
-                case 2: 
-                    XP = 400;
-                    totalXP += XP;
-                    break;
-                case 3:
-                    XP = 750;
-                    totalXP += XP;
-                    break;
-                default:
-                    break;
-            }
+            totalXP += getDifficultyXP(obj.difficulty);
+            // Unfinished tasks are worth part of their XP for the items that
+            // are done
+            earnedXP += calculateEarnedXP(obj);
             if(obj.finished === true) {
-                earnedXP += XP;
                 finishedTasks++;
             }
         }
         return {earnedXP: earnedXP, totalXP: totalXP, finishedTasks: finishedTasks, totalTasks: totalTasks, totalEvents: totalEvents};
     }
+    // Finishes every checked event and the ticked off items of checklists,
+    // and returns the events that were changed. For occurrences of repeating
+    // events, that's the series. Tasks whose last items were ticked off are
+    // finished too.
     finishCheckedEvents() {
+        const changedEvents = [];
+        const finishedEvents = [];
+        const today = getDateStringFromDate(new Date());
         this.eventList.forEach((obj) => {
-            if (obj.checked === true) {
-                obj.finished = true;
-                obj.checked = false;
+            if(obj.checked !== true && obj.checkedItems.length === 0) {
+                return;
+            }
+            const changes = {};
+            if(obj.checklist.length > 0) {
+                changes.checklist = finishChecklistItems(obj, obj.checked === true);
+                if(changes.checklist.every(item => item.done)) {
+                    obj.checked = true;
+                }
+            }
+            if(obj.checked === true) {
+                if(obj.finished !== true) {
+                    finishedEvents.push(obj);
+                    changes.finishedOn = today;
+                }
+                changes.finished = true;
+            }
+            obj.checked = false;
+            obj.checkedItems = [];
+            // Occurrences of repeating events are finished one at a time
+            if(obj.seriesID) {
+                setOccurrenceException(obj, changes, globalEventList);
+                const series = findSeries(obj, globalEventList);
+                if(series && !changedEvents.includes(series)) {
+                    changedEvents.push(series);
+                }
+            } else {
+                Object.assign(obj, changes);
+                changedEvents.push(obj);
             }
         });
+        recordFinishedTasks(finishedEvents);
+        return changedEvents;
     }
 }
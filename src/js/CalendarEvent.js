@@ -1,16 +1,48 @@
 class CalendarEvent {
     constructor(eventData) {
         this.id = eventData.id;
+        // Set for events imported from other calendars
+        this.uid = eventData.uid || null;
         this.name = eventData.name;
         this.description = eventData.description;
         this.date = eventData.date;
+        // The last day of a multi-day event, or null if it ends on the day it
+        // starts. startTime is on the first day and endTime on the last.
+        this.endDate = eventData.endDate || null;
         this.startTime = eventData.startTime;
         this.endTime = eventData.endTime;
+        // All-day events ignore their start and end times
+        this.allDay = eventData.allDay || false;
         this.type = eventData.type;
+        // The ID of the user's own category, see CategoryManager.js
+        this.category = eventData.category || null;
         this.difficulty = eventData.difficulty;
         this.xpValue = eventData.xpValue;
         this.finished = eventData.finished;
+        // The date (DD-MM-YYYY) a task was finished on, see GoalManager.js
+        this.finishedOn = eventData.finishedOn || null;
+        // The days an overdue task has been moved forward by, see
+        // BacklogManager.js
+        this.carriedOverDays = eventData.carriedOverDays || 0;
+        // Increased by the server every time the event is changed
+        this.version = eventData.version || 0;
+        this.recurrence = eventData.recurrence || null;
+        // Minutes before the start time to remind the user at, see
+        // ReminderManager.js
+        this.reminders = eventData.reminders || [];
+        this.exceptions = eventData.exceptions || {};
+        // Only set for occurrences created from a repeating event
+        this.seriesID = eventData.seriesID || null;
+        this.occurrenceDate = eventData.occurrenceDate || null;
+        // The owner of the board the event belongs to, see BoardManager.js
+        this.board = eventData.board || null;
+        // Objects with the properties id, text and done, see
+        // ChecklistManager.js
+        this.checklist = eventData.checklist || [];
         this.checked = false;
+        // The IDs of checklist items ticked off in the day view, which are
+        // done once the day is checked out
+        this.checkedItems = [];
     }
     updateEventInfo(eventData) {
         // TODO: Should an event be able to change its own ID? Probably not. 
@@ -18,12 +50,18 @@ class CalendarEvent {
         this.name = eventData.name;
         this.description = eventData.description;
         this.date = eventData.date;
+        this.endDate = eventData.endDate || null;
         this.startTime = eventData.startTime;
         this.endTime = eventData.endTime;
+        this.allDay = eventData.allDay || false;
         this.type = eventData.type;
+        this.category = eventData.category || null;
         this.finished = eventData.finished;
+        this.finishedOn = eventData.finishedOn || null;
         this.difficulty = eventData.difficulty;
         this.xpValue = eventData.xpValue;
-        console.log(`Updated CalendarEvent: ${this.id}`);
+        this.recurrence = eventData.recurrence || null;
+        this.reminders = eventData.reminders || [];
+        this.checklist = eventData.checklist || [];
     }
 }
@@ -75,6 +75,111 @@ function getDateString(day, month, year) {
     return `${day}-${month}-${year}`;
 }
 
+/**
+ * Returns the formatted date string(DD-MM-YYYY) for a Date object.
+ * @param {Date} date The date to format.
+ * @return {String} A string value representing a date in DD-MM-YYYY format.
+ */
+function getDateStringFromDate(date) {
+    return getDateString(date.getDate(), date.getMonth() + 1, date.getFullYear());
+}
+
+/**
+ * Parses a date string in the DD-MM-YYYY format used by the API's event
+ * objects and returns a Date object set to midnight of that day.
+ * @param {String} dateString A string value representing a date in DD-MM-YYYY
+ * format.
+ * @return {Date} A Date object for the specified day.
+ */
+function parseDateString(dateString) {
+    const parts = dateString.toString().trim().split("-");
+    return new Date(parseInt(parts[2]), parseInt(parts[1]) - 1, parseInt(parts[0]));
+}
+
+/**
+ * Moves a date string forwards or backwards by a number of days.
+ * @param {String} dateString The date in DD-MM-YYYY format.
+ * @param {Number} days The amount of days to move. Negative numbers move
+ * backwards.
+ * @return {String} The new date in DD-MM-YYYY format.
+ */
+function addDaysToDateString(dateString, days) {
+    const date = parseDateString(dateString);
+    date.setDate(date.getDate() + days);
+    return getDateStringFromDate(date);
+}
+
+/**
+ * Converts the value of a date input element(YYYY-MM-DD) to the DD-MM-YYYY
+ * format used by the API's event objects.
+ * @param {String} inputValue The value of the date input.
+ * @return {String} The date in DD-MM-YYYY format, or null if the input is
+ * empty.
+ */
+function getDateStringFromInputValue(inputValue) {
+    if(!inputValue) {
+        return null;
+    }
+    const parts = inputValue.split("-");
+    return `${parts[2]}-${parts[1]}-${parts[0]}`;
+}
+
+/**
+ * Converts a date string in DD-MM-YYYY format to the YYYY-MM-DD format used by
+ * date input elements.
+ * @param {String} dateString The date in DD-MM-YYYY format.
+ * @return {String} The date in YYYY-MM-DD format, or an empty string if no
+ * date was given.
+ */
+function getInputValueFromDateString(dateString) {
+    if(!dateString) {
+        return "";
+    }
+    const parts = dateString.toString().trim().split("-");
+    return `${parts[2]}-${parts[1]}-${parts[0]}`;
+}
+
+/**
+ * Converts a time string in HH:MM format to the amount of minutes since
+ * midnight.
+ * @param {String} timeString A string value representing a time in HH:MM
+ * format.
+ * @return {Number} The amount of minutes since midnight, or 0 if the string
+ * could not be parsed.
+ */
+function getMinutesFromTimeString(timeString) {
+    const parts = `${timeString}`.split(":");
+    const minutes = parseInt(parts[0]) * 60 + parseInt(parts[1]);
+    return isNaN(minutes) ? 0 : minutes;
+}
+
+/**
+ * Returns the Monday of the week that the specified date belongs to.
+ * @param {Date} date Any date within the week.
+ * @return {Date} A new Date object set to midnight of the week's Monday.
+ */
+function getFirstDayOfWeek(date) {
+    // getDay() treats Sunday as the first day of the week, so shift it to
+    // match the Monday-first index used by getFirstWeekDayInMonth.
+    const weekdayIndex = (date.getDay() + 6) % 7;
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - weekdayIndex);
+}
+
+/**
+ * Returns the English name of a month.
+ * @param {Number} monthIndex The index of the month, where 0 is January, as
+ * returned by Date.getMonth().
+ * @return {String} The name of the month, or "UNDEFINED" if the index is out
+ * of range.
+ */
+function getMonthName(monthIndex) {
+    const monthNames = [
+        "January", "February", "March", "April", "May", "June", "July",
+        "August", "September", "October", "November", "December"
+    ];
+    return monthNames[monthIndex] || "UNDEFINED";
+}
+
 /**
  Creates an empty array and fills it with as many CalendarDay objects as there
  are days in the specified month, then returns the array.
@@ -158,9 +263,10 @@ function createDayDiv(type, day) {
  * function.
  */
 function createCalendarGrid(selectedDate, container, gridItemAmount) {
-    const previousMonth = new Date();
-    previousMonth.setMonth(selectedDate.getMonth() - 1); 
+    const previousMonth = new Date(selectedDate.getFullYear(), selectedDate.getMonth() - 1, 1);
+    const nextMonth = new Date(selectedDate.getFullYear(), selectedDate.getMonth() + 1, 1);
     const firstDay = getFirstWeekDayInMonth(selectedDate);
+    const daysInSelectedMonth = getDaysInMonth(selectedDate);
 
     // Getting a list of the last days of the previous month, and using it to
     // get the date numbers to use for the "previous" day divs
@@ -183,8 +289,8 @@ function createCalendarGrid(selectedDate, container, gridItemAmount) {
         container.appendChild(newDiv);
     }     
 
-    // Add all the days of the current month
-    for(let i = 0; i < daysInCurrentMonth; i++) {
+    // Add all the days of the selected month
+    for(let i = 0; i < daysInSelectedMonth; i++) {
         const currentDateString = getDateString(i + 1, selectedDate.getMonth() + 1, selectedDate.getFullYear());
         const newDiv = createDayDiv("current", i + 1);
         newDiv.dataset.date = currentDateString;
@@ -200,8 +306,13 @@ function createCalendarGrid(selectedDate, container, gridItemAmount) {
         container.appendChild(newDiv);
     }
 
-    // Lastly, add the "today" class to the current day
-    container.children[selectedDate.getDate() + firstDay.index - 1].classList.add("today");
+    // Lastly, add the "today" class to the current day, if it's in the grid
+    const todayString = getDateStringFromDate(new Date());
+    for(let i = 0; i < container.children.length; i++) {
+        if(container.children[i].dataset.date === todayString) {
+            container.children[i].classList.add("today");
+        }
+    }
 }
 
 // TODO: Does this belong here? It could belong to the CalendarDay class, but
@@ -214,53 +325,21 @@ function renderDateInfo(date) {
     const dateEl = document.querySelector("#timeinfo_date");
 
     const day = date.getDate();
-    const month = date.getMonth() + 1;
-    let monthString = "";
-    switch (month) {
-        case 1:
-            monthString = "January";
-            break;
-        case 2:
-            monthString = "February";
-            break;
-        case 3:
-            monthString = "March";
-            break;
-        case 4:
-            monthString = "April";
-            break;
-        case 5:
-            monthString = "May";
-            break;
-        case 6:
-            monthString = "June";
-            break;
-        case 7:
-            monthString = "July";
-            break;
-        case 8:
-            monthString = "August";
-            break;
-        case 9:
-            monthString = "September";
-            break;
-        case 10:
-            monthString = "October";
-            break;
-        case 11:
-            monthString = "November";
-            break;
-        case 12:
-            monthString = "December";
-            break;
-        default:
-            monthString = "UNDEFINED";
-            break;
-    }
+    const monthString = getMonthName(date.getMonth());
     const year = date.getFullYear();
     dateEl.textContent = `${monthString} ${day}, ${year}`;
 }
 
+/**
+ * Updates the header above the month grid with the name and year of the month
+ * currently being displayed.
+ * @param {Date} selectedDate A date within the month being displayed.
+ */
+function renderMonthHeader(selectedDate) {
+    const monthEl = document.querySelector("#currentDate_month");
+    monthEl.textContent = `${getMonthName(selectedDate.getMonth())} ${selectedDate.getFullYear()}`;
+}
+
 function renderTimeInfo(update = true) {
     let now = new Date();
     let hour = now.getHours();
@@ -291,13 +370,12 @@ function renderTimeInfo(update = true) {
 
 /**
  * Initializes an interactable calendar with the specified date as its starting
- * point.
+ * point. Any previously generated grid in the container is cleared first, so
+ * this can also be used to switch to another month.
  * @param {Date} selectedDate The date to be used as the calendar's starting point.
- * @param {Array} eventList The list of CalendarEvents to use to populate the
- * calendar view.
+ * @param {Element} container The container for the interactive calendar.
  * @param {Array} dayList The list of CalendarDays in the selected date's month,
  * which will be filled on initialization.
- * @param {Element} container The container for the interactive calendar.
 */
 function initCalendar(selectedDate, container, dayList) {
     const firstDayOfSelectedMonth = getFirstWeekDayInMonth(selectedDate);
@@ -308,17 +386,12 @@ function initCalendar(selectedDate, container, dayList) {
     } else {
         maxGridItems = 35;
     }
+    container.innerHTML = ``;
     createCalendarGrid(selectedDate, container, maxGridItems);
     dayList.forEach(dayObj => {
         dayObj.renderEventPreview(container);
     });
-
-    // TODO: This make the initCalendar function assume that the selected date
-    // starting point is the current time for this renderDashBoard call to be
-    // relevant and/or useful. Maybe it would be best to not try to account for
-    // the user wanting to have it any other way? 
-    const currentDay = selectedDate.getDate() - 1;
-    dayList[currentDay].renderDashBoard();
-    renderDateInfo(selectedDate);
-    renderTimeInfo(selectedDate);
+    markGoalMetDays(container, globalEventList);
+    markSearchMatches(container);
+    renderMonthHeader(selectedDate);
 }
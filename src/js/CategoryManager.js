@@ -0,0 +1,278 @@
+/*
+                             = CATEGORY MANAGER =
+    The category manager lets users sort their events into their own
+    categories, like "Work" or "Gym", on top of the built-in event types. Each
+    category has a name, a color and an icon, and either counts as a task
+    worth XP or as a plain event. Events remember their category by its ID,
+    and still have a type, so everything that checks for tasks keeps working.
+    Events in a category the user doesn't have, e.g. on another user's board,
+    are shown like any other event of their type.
+*/
+
+// Font Awesome icons a category can have, without the "fa-" prefix
+const CATEGORY_ICONS = ["star", "briefcase", "book", "graduation-cap", "heart", "home", "shopping-cart",
+    "cutlery", "car", "plane", "music", "gamepad", "paint-brush", "code", "users", "bicycle"];
+const DEFAULT_CATEGORY_COLOR = "#4a90d9";
+const MAX_CATEGORY_NAME_LENGTH = 30;
+
+// Categories are objects with the properties id, name, color, icon and xp
+// (true if its events are tasks worth XP)
+var globalCategoryList = [];
+// What the month grid is filtered by: "" for everything, an event type or the
+// ID of a category
+var categoryFilter = "";
+
+/**
+ * Loads the categories of a user, and the category the month grid was last
+ * filtered by.
+ * @param {String} user The user, or null for none.
+ */
+function loadCategories(user) {
+    globalCategoryList = [];
+    categoryFilter = "";
+    if(user) {
+        globalCategoryList = loadLocalSetting(`categories_${user}`, []);
+        categoryFilter = loadLocalSetting(`categoryFilter_${user}`, "");
+    }
+}
+
+/**
+ * Saves the signed in user's categories and the category filter.
+ */
+function saveCategories() {
+    if(!userSession) {
+        return;
+    }
+    saveLocalSetting(`categories_${userSession.user}`, globalCategoryList);
+    saveLocalSetting(`categoryFilter_${userSession.user}`, categoryFilter);
+}
+
+/**
+ * Finds a category by its ID.
+ * @param {String} id The ID of the category.
+ * @return {Object} The category, or undefined if the user has no category
+ * with that ID.
+ */
+function getCategory(id) {
+    return globalCategoryList.find(category => category.id === id);
+}
+
+/**
+ * Finds the category of an event.
+ * @param {CalendarEvent} event The event.
+ * @return {Object} The category, or undefined if the event has none or it
+ * doesn't exist.
+ */
+function getEventCategory(event) {
+    return event.category ? getCategory(event.category) : undefined;
+}
+
+/**
+ * Checks if a category name can be used.
+ * @param {String} name The name, without surrounding whitespace.
+ * @param {String} id The ID of the category being renamed, or null for a new
+ * category.
+ * @return {String} An error message, or null if the name is valid.
+ */
+function validateCategoryName(name, id = null) {
+    if(name === "") {
+        return "Give the category a name.";
+    } else if(name.length > MAX_CATEGORY_NAME_LENGTH) {
+        return `Category names can't be longer than ${MAX_CATEGORY_NAME_LENGTH} characters.`;
+    } else if(globalCategoryList.some(category => category.id !== id && category.name.toLowerCase() === name.toLowerCase())) {
+        return `There already is a category called "${name}".`;
+    }
+    return null;
+}
+
+/**
+ * Creates a category. Whether it counts as a task can't be changed later,
+ * since its events would change type.
+ * @param {String} name The name of the category.
+ * @param {String} color The color, in #RRGGBB format.
+ * @param {String} icon One of CATEGORY_ICONS.
+ * @param {Boolean} xp If true, events in the category are tasks worth XP.
+ * @return {Object} The new category.
+ */
+function createCategory(name, color, icon, xp) {
+    const category = {
+        id: `category_${createRandomID()}`,
+        name: name,
+        color: color,
+        icon: CATEGORY_ICONS.includes(icon) ? icon : CATEGORY_ICONS[0],
+        xp: xp,
+    };
+    globalCategoryList.push(category);
+    saveCategories();
+    return category;
+}
+
+/**
+ * Changes the name, color or icon of a category.
+ * @param {String} id The ID of the category.
+ * @param {Object} changes The properties to change.
+ */
+function updateCategory(id, changes) {
+    const category = getCategory(id);
+    if(!category) {
+        return;
+    }
+    ["name", "color", "icon"].forEach((key) => {
+        if(changes[key] !== undefined) {
+            category[key] = changes[key];
+        }
+    });
+    saveCategories();
+}
+
+/**
+ * Deletes a category. Its events keep their type, and are shown like other
+ * events of that type from then on.
+ * @param {String} id The ID of the category.
+ */
+function deleteCategory(id) {
+    globalCategoryList = globalCategoryList.filter(category => category.id !== id);
+    if(categoryFilter === id) {
+        categoryFilter = "";
+    }
+    saveCategories();
+}
+
+/**
+ * Reads the type input of the event editor, which offers the built-in types
+ * along with the user's categories.
+ * @param {String} value The value of the input.
+ * @return {Object} An object with the properties type and category (the ID
+ * of the category, or null for a built-in type).
+ */
+function parseTypeInputValue(value) {
+    const category = getCategory(value);
+    if(category) {
+        return {type: category.xp ? "task" : "event", category: category.id};
+    }
+    return {type: value, category: null};
+}
+
+/**
+ * Adds the user's categories to a type input, after the built-in types.
+ * @param {Element} select The select element. Its built-in options are
+ * written in the HTML, and are kept.
+ */
+function fillCategoryOptions(select) {
+    const value = select.value;
+    select.querySelectorAll("optgroup").forEach(group => group.remove());
+    if(globalCategoryList.length > 0) {
+        const group = document.createElement("optgroup");
+        group.label = "My categories";
+        globalCategoryList.forEach((category) => {
+            const option = document.createElement("option");
+            option.value = category.id;
+            option.textContent = `${category.name}${category.xp ? " (XP)" : ""}`;
+            group.appendChild(option);
+        });
+        select.appendChild(group);
+    }
+    select.value = value;
+}
+
+/**
+ * Checks if an event should be shown with the active category filter. Events
+ * match a built-in type if they have that type, whatever their category.
+ * @param {CalendarEvent} event The event.
+ * @return {Boolean} True if the event should be shown.
+ */
+function matchesCategoryFilter(event) {
+    if(categoryFilter === "") {
+        return true;
+    }
+    return (getCategory(categoryFilter)) ? event.category === categoryFilter : event.type === categoryFilter;
+}
+
+/**
+ * Changes what the month grid is filtered by.
+ * @param {String} filter "" for everything, an event type or the ID of a
+ * category.
+ */
+function setCategoryFilter(filter) {
+    categoryFilter = filter;
+    saveCategories();
+}
+
+/**
+ * Shows an event's category on an element, with its color as the background
+ * and its icon in front of the name. Does nothing if the event has no
+ * category.
+ * @param {CalendarEvent} event The event.
+ * @param {Element} element The element showing the event, which gets the
+ * class "event_category" and the --category-color property.
+ * @param {Element} nameElement The element with the event's name, or null
+ * to leave out the icon.
+ */
+function applyEventCategory(event, element, nameElement) {
+    const category = getEventCategory(event);
+    if(!category) {
+        return;
+    }
+    element.classList.add("event_category");
+    element.style.setProperty("--category-color", category.color);
+    if(!nameElement) {
+        return;
+    }
+    nameElement.insertBefore(buildElement("i", {classes: ["fa", `fa-${category.icon}`, "event_category_icon"], title: category.name}), nameElement.firstChild);
+}
+
+/**
+ * Renders the user's categories in the settings panel, where their name,
+ * color and icon can be changed. Each row has the ID of its category in
+ * data-category.
+ * @param {Element} container The element to render the list in.
+ */
+function renderCategoryList(container) {
+    container.innerHTML = ``;
+    if(globalCategoryList.length === 0) {
+        container.appendChild(buildElement("p", {text: "You have no categories yet."}));
+        return;
+    }
+    globalCategoryList.forEach((category) => {
+        const nameInput = buildElement("input", {classes: ["category_input_name"], title: "Name"});
+        nameInput.type = "text";
+        nameInput.maxLength = MAX_CATEGORY_NAME_LENGTH;
+        nameInput.value = category.name;
+
+        const colorInput = buildElement("input", {classes: ["category_input_color"], title: "Color"});
+        colorInput.type = "color";
+        colorInput.value = category.color;
+
+        const iconInput = buildElement("select", {classes: ["category_input_icon"], title: "Icon"});
+        fillCategoryIconInput(iconInput, category.icon);
+
+        const removeButton = buildElement("button", {classes: ["category_button_remove"], text: "Delete"});
+        container.appendChild(buildElement("div", {
+            classes: ["category_list_item"],
+            dataset: {category: category.id},
+            children: [
+                buildElement("i", {classes: ["fa", `fa-${category.icon}`, "category_icon"]}),
+                nameInput,
+                colorInput,
+                iconInput,
+                buildElement("span", {classes: ["category_xp"], text: category.xp ? "XP" : "No XP"}),
+                removeButton,
+            ],
+        }));
+    });
+}
+
+/**
+ * Fills a select with every icon in CATEGORY_ICONS.
+ * @param {Element} select The select element.
+ * @param {String} icon The icon to select.
+ */
+function fillCategoryIconInput(select, icon) {
+    select.innerHTML = ``;
+    CATEGORY_ICONS.forEach((name) => {
+        const option = buildElement("option", {text: name.replace(/-/g, " ")});
+        option.value = name;
+        select.appendChild(option);
+    });
+    select.value = icon;
+}
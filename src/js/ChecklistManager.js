@@ -0,0 +1,123 @@
+/*
+                             = CHECKLIST MANAGER =
+    The checklist manager splits big tasks into smaller items, like the steps
+    of cleaning the garage. Items are ticked off in the day view and finished
+    along with the rest of the day, which awards a share of the task's XP for
+    each of them. Once every item is done, the task is finished too.
+*/
+
+const MAX_CHECKLIST_ITEMS = 20;
+
+/**
+ * Reads the checklist input of the event editor.
+ * @return {Array} The text of each item, leaving out empty lines.
+ */
+function readChecklistInput() {
+    return document.querySelector("#editor_input_checklist").value
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line !== "");
+}
+
+/**
+ * Fills the checklist input of the event editor, one item per line.
+ * @param {CalendarEvent} event The event to show, or null for a new event.
+ */
+function fillChecklistInput(event) {
+    document.querySelector("#editor_input_checklist").value = event ? event.checklist.map(item => item.text).join("\n") : "";
+}
+
+/**
+ * Creates the items of a checklist. Items that were already on the checklist
+ * keep their ID and whether they're done.
+ * @param {Array} texts The text of each item.
+ * @param {Array} oldChecklist The checklist being replaced, if any.
+ * @return {Array} The items, as objects with the properties id, text and
+ * done.
+ */
+function createChecklist(texts, oldChecklist = []) {
+    const unusedItems = oldChecklist.slice();
+    return texts.map((text) => {
+        const index = unusedItems.findIndex(item => item.text === text);
+        if(index !== -1) {
+            return Object.assign({}, unusedItems.splice(index, 1)[0]);
+        }
+        return {id: createRandomID(), text: text, done: false};
+    });
+}
+
+/**
+ * Counts the items of an event's checklist.
+ * @param {CalendarEvent} event The event.
+ * @return {Object} An object with the properties total, done and checked
+ * (ticked off, but not finished yet).
+ */
+function getChecklistProgress(event) {
+    return {
+        total: event.checklist.length,
+        done: event.checklist.filter(item => item.done).length,
+        checked: event.checkedItems.length,
+    };
+}
+
+/**
+ * Checks if finishing the checked events of a day will finish a task, either
+ * because it was checked itself or because its last items were ticked off.
+ * @param {CalendarEvent} event The task.
+ * @return {Boolean} True if the task will be finished.
+ */
+function willFinishTask(event) {
+    const progress = getChecklistProgress(event);
+    return event.checked === true || (progress.total > 0 && progress.done + progress.checked === progress.total);
+}
+
+/**
+ * Marks the ticked off items of an event's checklist as done. The event
+ * itself isn't changed, since occurrences of repeating events keep their
+ * checklist as an exception.
+ * @param {CalendarEvent} event The event.
+ * @param {Boolean} finishAll If true, every item is marked as done, e.g.
+ * when the whole task was checked.
+ * @return {Array} A new checklist.
+ */
+function finishChecklistItems(event, finishAll) {
+    return event.checklist.map((item) => {
+        return Object.assign({}, item, {done: item.done || finishAll || event.checkedItems.includes(item.id)});
+    });
+}
+
+/**
+ * Renders an event's checklist. Each item's checkbox has the ID of the event
+ * in data-parentevent and the ID of the item in data-item.
+ * @param {CalendarEvent} event The event.
+ * @param {Boolean} editable If false, the items can't be ticked off.
+ * @return {Element} A ul element, or null if the event has no checklist.
+ */
+function renderChecklist(event, editable) {
+    if(event.checklist.length === 0) {
+        return null;
+    }
+    return buildElement("ul", {
+        classes: ["event_details_checklist"],
+        children: event.checklist.map((item) => {
+            let state = "unchecked";
+            if(item.done) {
+                state = "done";
+            } else if(event.checkedItems.includes(item.id)) {
+                state = "checked";
+            }
+            const checkBox = buildElement("div", {
+                classes: ["checklist_item_checkbox", state],
+                dataset: {parentevent: event.id, item: item.id},
+                title: item.done ? "Done" : "Tick off",
+            });
+            if(!editable) {
+                checkBox.classList.add("disabled");
+            }
+            return buildElement("li", {
+                classes: ["checklist_item", item.done ? "checklist_item_done" : "checklist_item_open"],
+                children: [checkBox, buildElement("span", {text: item.text})],
+            });
+        }),
+    });
+}
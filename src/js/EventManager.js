@@ -1,40 +1,9 @@
 /*
                               = EVENT MANAGER =
     The event manager contains functions related to updating, adding and
-    deleting events, as well as making API calls to update the event list on the
-    server.
+    deleting events, and reading their data from the event editor.
 */
 
-// Send the specified list to the specified user's event board.
-function postEventList(dayList, user, token) {
-    let eventsToSend = [];
-    dayList.forEach((day) => {
-        day.eventList.forEach((obj) => {
-            eventsToSend.push(obj);
-        });
-    });
-    const requestBody = {
-        owner: user,
-        guests: [],
-        events: eventsToSend,
-    }
-    const options = {
-        method: "POST",
-        mode: "cors",
-        headers: {
-            "Content-Type": "application/json",
-            "User-Name": `${user}`,
-            "Board-Token": `${token}`,
-        },
-        body: JSON.stringify(requestBody),
-    };
-    console.log("Sending POST...");
-    fetch(`${BASEURL}`, options)
-        .then(response => response.json())
-        .then(json => console.log(json))
-        .catch(err => console.log(err));
-}
-
 // TODO: Maybe this is something only the server should be able to do?
 function createRandomID() {
     let id = "";
@@ -50,67 +19,317 @@ function createRandomID() {
     return id;
 }
 
-// TODO: Needs proper documentation!
-function addNewEvent(calendarDay) {
-    let obj = {};
-    const nameInput = document.querySelector("#editor_input_name");
-    obj.name = nameInput.value;
-
-    const typeInput = document.querySelector("#editor_input_type");
-    obj.type = typeInput.value;
-
-    const descInput = document.querySelector("#editor_input_description");
-    obj.description = descInput.value;
-
-    let startHour = document.querySelector("#editor_input_start_hour").value;
-    let startMinute = document.querySelector("#editor_input_start_minute").value;
-    if(startHour.toString().length != 2) {
-        startHour = "0" + startHour;
-    }
-    if(startMinute.toString().length != 2) {
-        startMinute = "0" + startMinute;
-    } 
-    obj.startTime = `${startHour}:${startMinute}`;
-    
-    let endHour = document.querySelector("#editor_input_end_hour").value;
-    let endMinute = document.querySelector("#editor_input_end_minute").value;
-    if(endHour.toString().length != 2) {
-        endHour = "0" + endHour;
-    }
-    if(endMinute.toString().length != 2) {
-        endMinute = "0" + endMinute;
-    } 
-    obj.endTime = `${endHour}:${endMinute}`;
-
-    const difficultyInput = document.querySelector("#editor_input_difficulty");
-    obj.difficulty = parseInt(difficultyInput.value);
-    switch (obj.difficulty) {
-        // TODO: These things should ONLY be set by the server!
-        case 1:
-            obj.xpValue = 150;
-            break
-        case 2:
-            obj.xpValue = 400;
-            break;
-        case 3:
-            obj.xpValue = 750;
-            break;
-        default:
-            console.log(obj.difficulty);
-            alert("Invalid difficulty rating! Try again.");
-            return;
-    }
-    obj.checked = false;
-    obj.finished = false;
-    obj.id = createRandomID();
-    obj.date = calendarDay.date;
-
-    const newEvent = new CalendarEvent(obj);
-    calendarDay.eventList.push(newEvent);
-
-    nameInput.value = "";
-    descInput.value = "";
-    difficultyInput.value = 1;
+// Times entered in the editor have to be in HH:MM format
+const EDITOR_TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+// The built-in event types. Categories give their events one of these too.
+const EVENT_TYPES = ["task", "event", "reminder"];
+
+// Errors are only shown once the user has tried to confirm, so they don't get
+// told off for fields they haven't reached yet.
+var editorShowErrors = false;
+
+/**
+ * Creates a new event from the input of the event editor, and adds it to an
+ * event list.
+ * @param {CalendarDay} calendarDay The day open in the day view. Its event
+ * list is rebuilt, in case the new event takes place on it.
+ * @param {Array} eventList The list to add the event to.
+ * @return {CalendarEvent} The new event, or undefined if the editor's input
+ * was invalid. The problems are shown in the editor.
+ */
+function addNewEvent(calendarDay, eventList) {
+    const input = readEditorInput();
+    if(!validateEditor(input, null)) {
+        return;
+    }
+    const newEvent = new CalendarEvent({
+        id: createRandomID(),
+        name: input.name,
+        type: input.type,
+        category: input.category,
+        description: input.description,
+        date: input.date,
+        endDate: input.endDate,
+        startTime: input.startTime,
+        endTime: input.endTime,
+        allDay: input.allDay,
+        difficulty: input.difficulty,
+        // Comes from the server's scoring rules, see ScoringManager.js
+        xpValue: getDifficultyXP(input.difficulty),
+        finished: false,
+        recurrence: input.recurrence,
+        reminders: input.reminders,
+        checklist: createChecklist(input.checklist),
+        board: document.querySelector("#editor_input_board").value || null,
+    });
+    eventList.push(newEvent);
+    // Rebuilding the day's list makes sure that repeating events show up as
+    // an occurrence rather than as the series itself.
+    calendarDay.refreshEventList();
+    return newEvent;
+}
+
+/**
+ * Reads every input of the event editor.
+ * @return {Object} The values, with dates in DD-MM-YYYY format (or null if
+ * left empty), times in HH:MM format and the difficulty as a number. endDate
+ * is only set if it's another day than date, category is only set if one
+ * of the user's categories was chosen as the type, and checklist has the
+ * text of each checklist item.
+ */
+function readEditorInput() {
+    // Categories decide the type of their events
+    const typeChoice = parseTypeInputValue(document.querySelector("#editor_input_type").value);
+    const allDay = document.querySelector("#editor_input_allday").checked;
+    const date = getDateStringFromInputValue(document.querySelector("#editor_input_date").value);
+    const endDate = getDateStringFromInputValue(document.querySelector("#editor_input_end_date").value);
+    return {
+        name: document.querySelector("#editor_input_name").value.trim(),
+        type: typeChoice.type,
+        category: typeChoice.category,
+        description: document.querySelector("#editor_input_description").value,
+        date: date,
+        endDate: (endDate && endDate !== date) ? endDate : null,
+        allDay: allDay,
+        // All-day events take up the whole day, whatever the time inputs say
+        startTime: allDay ? "00:00" : document.querySelector("#editor_input_start_time").value,
+        endTime: allDay ? "23:59" : document.querySelector("#editor_input_end_time").value,
+        difficulty: parseInt(document.querySelector("#editor_input_difficulty").value),
+        recurrence: readRecurrenceInput(),
+        reminders: readReminderInput(typeChoice.type),
+        checklist: readChecklistInput(),
+        scope: document.querySelector("#editor_input_scope").value,
+    };
+}
+
+/**
+ * Checks the input of the event editor for mistakes, and for things the user
+ * should know about before saving, like events that overlap.
+ * @param {Object} input The input, as returned by readEditorInput.
+ * @param {CalendarEvent} editedEvent The event being edited, or null when a
+ * new event is being added.
+ * @return {Object} An object with the properties errors (an object with an
+ * error message for each invalid input, by the part of its ID after
+ * "editor_input_") and warnings (an array of messages).
+ */
+function validateEditorInput(input, editedEvent) {
+    const errors = {};
+    if(input.name === "") {
+        errors.name = "Give the event a name.";
+    }
+    if(!EVENT_TYPES.includes(input.type)) {
+        errors.type = "Choose a type or one of your categories.";
+    }
+    if(!input.date) {
+        errors.date = "Choose the date the event takes place on.";
+    } else if(editedEvent && editedEvent.seriesID && input.scope === "occurrence" && input.date !== editedEvent.date) {
+        errors.date = "Only the whole series can be moved to another date.";
+    }
+    if(!input.allDay) {
+        if(!EDITOR_TIME_PATTERN.test(input.startTime)) {
+            errors.start_time = "Enter a time from 00:00 to 23:59.";
+        }
+        if(!EDITOR_TIME_PATTERN.test(input.endTime)) {
+            errors.end_time = "Enter a time from 00:00 to 23:59.";
+        }
+    }
+    if(input.date && input.endDate && getDaysBetween(parseDateString(input.date), parseDateString(input.endDate)) < 0) {
+        errors.end_date = "The end date can't be before the start date.";
+    } else if(!input.allDay && !input.endDate && !errors.start_time && !errors.end_time &&
+        getMinutesFromTimeString(input.endTime) <= getMinutesFromTimeString(input.startTime)) {
+        errors.end_time = "The event has to end after it starts. Set an end date if it ends on a later day.";
+    }
+    if(input.checklist.length > 0 && input.type !== "task") {
+        errors.checklist = "Only tasks can have a checklist.";
+    } else if(input.checklist.length > MAX_CHECKLIST_ITEMS) {
+        errors.checklist = `A checklist can't have more than ${MAX_CHECKLIST_ITEMS} items.`;
+    }
+    if(!isValidDifficulty(input.difficulty)) {
+        errors.difficulty = `Choose one of these difficulties: ${Object.keys(scoringRules.difficultyXP).join(", ")}.`;
+    }
+
+    // Overlaps can only be worked out once the date and times are valid
+    const warnings = [];
+    if(!errors.date && !errors.start_time && !errors.end_time && !errors.end_date) {
+        findOverlappingEvents(input, editedEvent).forEach((obj) => {
+            warnings.push(`Overlaps with "${obj.name}" (${describeEventTime(obj, input.date)}).`);
+        });
+    }
+    return {errors: errors, warnings: warnings};
+}
+
+/**
+ * Finds the events that take place at the same time as the event in the
+ * editor, on the day it starts. All-day events don't count as overlapping.
+ * @param {Object} input The input, as returned by readEditorInput.
+ * @param {CalendarEvent} editedEvent The event being edited, which is left
+ * out, or null when a new event is being added.
+ * @return {Array} The overlapping events.
+ */
+function findOverlappingEvents(input, editedEvent) {
+    if(input.allDay) {
+        return [];
+    }
+    const minutes = getEventMinutesOnDate(input, input.date);
+    return new CalendarDay(input.date).eventList.filter((obj) => {
+        if(obj.allDay || (editedEvent && obj.id === editedEvent.id)) {
+            return false;
+        }
+        const otherMinutes = getEventMinutesOnDate(obj, input.date);
+        return otherMinutes.start < minutes.end && minutes.start < otherMinutes.end;
+    });
+}
+
+/**
+ * Validates the input of the event editor, and shows any errors next to the
+ * inputs they belong to and any warnings in the editor's summary.
+ * @param {Object} input The input, as returned by readEditorInput.
+ * @param {CalendarEvent} editedEvent The event being edited, or null when a
+ * new event is being added.
+ * @param {Boolean} showErrors If false, only the warnings are shown, unless
+ * the user has already tried to confirm invalid input.
+ * @return {Boolean} True if the input is valid.
+ */
+function validateEditor(input, editedEvent, showErrors = true) {
+    const result = validateEditorInput(input, editedEvent);
+    editorShowErrors = editorShowErrors || showErrors;
+    document.querySelectorAll(".editor_error").forEach((errorEl) => {
+        const field = errorEl.id.replace("editor_error_", "");
+        const message = editorShowErrors ? (result.errors[field] || "") : "";
+        errorEl.textContent = message;
+        document.querySelector(`#editor_input_${field}`).classList.toggle("invalid", message !== "");
+    });
+    const warningList = document.querySelector("#editor_warnings");
+    warningList.innerHTML = ``;
+    result.warnings.forEach((warning) => {
+        const item = document.createElement("li");
+        item.textContent = warning;
+        warningList.appendChild(item);
+    });
+    return Object.keys(result.errors).length === 0;
+}
+
+/**
+ * Returns the event that is open in the event editor.
+ * @return {CalendarEvent} The event, or null when a new event is being added.
+ */
+function getEditedEvent() {
+    if(editorMode !== "edit" || !selectedCalendarDay) {
+        return null;
+    }
+    return selectedCalendarDay.eventList.find(obj => obj.id === selectedEventID) || null;
+}
+
+/**
+ * Fills the date, time, all-day and end date inputs of the event editor.
+ * @param {CalendarEvent} event The event to show, or null to reset the inputs
+ * for a new event.
+ * @param {String} dateString The date to show for a new event, in DD-MM-YYYY
+ * format.
+ */
+function fillSpanInput(event, dateString = null) {
+    document.querySelector("#editor_input_date").value = getInputValueFromDateString(event ? event.date : dateString);
+    document.querySelector("#editor_input_start_time").value = event ? event.startTime : "09:00";
+    document.querySelector("#editor_input_end_time").value = event ? event.endTime : "10:00";
+    document.querySelector("#editor_input_allday").checked = event ? event.allDay : false;
+    document.querySelector("#editor_input_end_date").value = event ? getInputValueFromDateString(event.endDate) : "";
+    updateTimeInputAvailability();
+}
+
+/**
+ * Disables the start and end time inputs of the event editor while the event
+ * is set to last all day.
+ */
+function updateTimeInputAvailability() {
+    const allDay = document.querySelector("#editor_input_allday").checked;
+    document.querySelector("#editor_input_start_time").disabled = allDay;
+    document.querySelector("#editor_input_end_time").disabled = allDay;
+}
+
+/**
+ * Reads the reminder inputs of the event editor.
+ * @param {String} type The type of the event. Reminders always get a reminder
+ * when they start, even if none was chosen.
+ * @return {Array} The reminder offsets, in minutes before the start time.
+ */
+function readReminderInput(type) {
+    const reminders = [];
+    document.querySelectorAll(".editor_input_reminder").forEach((checkbox) => {
+        if(checkbox.checked) {
+            reminders.push(parseInt(checkbox.value));
+        }
+    });
+    if(reminders.length === 0 && type === "reminder") {
+        reminders.push(0);
+    }
+    return reminders;
+}
+
+/**
+ * Checks the reminder inputs of the event editor that match a list of
+ * reminder offsets.
+ * @param {Array} reminders The reminder offsets, in minutes.
+ */
+function fillReminderInput(reminders) {
+    document.querySelectorAll(".editor_input_reminder").forEach((checkbox) => {
+        checkbox.checked = reminders.includes(parseInt(checkbox.value));
+    });
+}
+
+/**
+ * Reads the recurrence inputs of the event editor.
+ * @return {Object} A recurrence rule, as described in RecurrenceManager.js, or
+ * null if the event should not repeat.
+ */
+function readRecurrenceInput() {
+    const frequency = document.querySelector("#editor_input_repeat").value;
+    if(!RECURRENCE_FREQUENCIES.includes(frequency)) {
+        return null;
+    }
+    const weekdays = [];
+    document.querySelectorAll(".editor_input_weekday").forEach((checkbox) => {
+        if(checkbox.checked) {
+            weekdays.push(parseInt(checkbox.value));
+        }
+    });
+    const count = parseInt(document.querySelector("#editor_input_count").value);
+    return {
+        frequency: frequency,
+        interval: Math.max(1, parseInt(document.querySelector("#editor_input_interval").value) || 1),
+        weekdays: weekdays,
+        monthlyMode: document.querySelector("#editor_input_monthly_mode").value,
+        until: getDateStringFromInputValue(document.querySelector("#editor_input_until").value),
+        count: (count > 0) ? count : null,
+    };
+}
+
+/**
+ * Fills the recurrence inputs of the event editor with the values of a
+ * recurrence rule.
+ * @param {Object} recurrence The recurrence rule to show, or null to reset the
+ * inputs to "never repeat".
+ */
+function fillRecurrenceInput(recurrence) {
+    const rule = recurrence || {};
+    document.querySelector("#editor_input_repeat").value = rule.frequency || "none";
+    document.querySelector("#editor_input_interval").value = rule.interval || 1;
+    document.querySelectorAll(".editor_input_weekday").forEach((checkbox) => {
+        checkbox.checked = (rule.weekdays || []).includes(parseInt(checkbox.value));
+    });
+    document.querySelector("#editor_input_monthly_mode").value = rule.monthlyMode || "date";
+    document.querySelector("#editor_input_until").value = getInputValueFromDateString(rule.until);
+    document.querySelector("#editor_input_count").value = rule.count || "";
+    updateRecurrenceInputVisibility();
+}
+
+/**
+ * Only shows the recurrence options in the editor when the event is set to
+ * repeat.
+ */
+function updateRecurrenceInputVisibility() {
+    const frequency = document.querySelector("#editor_input_repeat").value;
+    const options = document.querySelector("#editor_recurrence_options");
+    options.style.display = RECURRENCE_FREQUENCIES.includes(frequency) ? "flex" : "none";
 }
 
 
@@ -119,67 +338,133 @@ function updateEventEditor(id = "undefined") {
         const nameInput = document.querySelector("#editor_input_name");
         nameInput.value = "";
         const typeInput = document.querySelector("#editor_input_type");
-        typeInput.value = "";
+        fillCategoryOptions(typeInput);
+        typeInput.value = "task";
         const descInput = document.querySelector("#editor_input_description");
         descInput.value = "";
         const difficultyInput = document.querySelector("#editor_input_difficulty");
         difficultyInput.value = 1;
+        fillRecurrenceInput(null);
+        fillReminderInput([]);
+        fillChecklistInput(null);
+        fillSpanInput(null, selectedCalendarDay.date);
+        document.querySelector("#editor_scope_options").style.display = "none";
+        fillBoardInput();
     } else if (editorMode === "edit") {
         let event = selectedCalendarDay.eventList.find((obj) => {
             return obj.id === id;
         });
-        console.log(event);
 
         const nameInput = document.querySelector("#editor_input_name");
         nameInput.value = event.name;
         const typeInput = document.querySelector("#editor_input_type");
-        typeInput.value = event.type;
+        fillCategoryOptions(typeInput);
+        typeInput.value = getEventCategory(event) ? event.category : event.type;
         const descInput = document.querySelector("#editor_input_description");
         descInput.value = event.description;
         const difficultyInput = document.querySelector("#editor_input_difficulty");
         difficultyInput.value = event.difficulty;
+        fillReminderInput(event.reminders);
+        fillChecklistInput(event);
+        fillSpanInput(event);
+
+        // Occurrences show the rule of their series, and let the user choose
+        // if changes should apply to the whole series or only this one.
+        const scopeOptions = document.querySelector("#editor_scope_options");
+        if(event.seriesID) {
+            const series = findSeries(event, globalEventList);
+            fillRecurrenceInput(series ? series.recurrence : null);
+            document.querySelector("#editor_input_scope").value = "occurrence";
+            scopeOptions.style.display = "flex";
+        } else {
+            fillRecurrenceInput(event.recurrence);
+            scopeOptions.style.display = "none";
+        }
+        // Events can't be moved to another board
+        document.querySelector("#editor_board_options").style.display = "none";
     }
+    editorShowErrors = false;
+    validateEditor(readEditorInput(), getEditedEvent(), false);
 }
 
-// Search through a list of events and update the specified event with the new
-// data.
-// TODO: Needs proper documentation!
+/**
+ * Fills the board input of the event editor with the boards the user can add
+ * events to. The input is only shown if there is more than one.
+ */
+function fillBoardInput() {
+    const boardInput = document.querySelector("#editor_input_board");
+    const boards = getEditableBoards();
+    boardInput.innerHTML = ``;
+    boards.forEach((board) => {
+        const option = document.createElement("option");
+        option.value = board.owner;
+        option.textContent = (board.permission === "owner") ? "My board" : `${board.owner}'s board`;
+        boardInput.appendChild(option);
+    });
+    document.querySelector("#editor_board_options").style.display = (boards.length > 1) ? "block" : "none";
+}
+
+/**
+ * Updates an event with the input of the event editor. When an occurrence of
+ * a repeating event is edited, the changes apply to either that occurrence or
+ * the whole series, depending on the editor's scope input.
+ * @param {String} id The ID of the event, which has to be in the event list
+ * of selectedCalendarDay.
+ * @return {CalendarEvent} The event that was changed, which is the series
+ * when an occurrence was edited, or undefined if the editor's input was
+ * invalid. The problems are shown in the editor.
+ */
 function updateEvent(id) {
     let event = selectedCalendarDay.eventList.find((obj) => {
         return obj.id === id;
     });
-    const nameInput = document.querySelector("#editor_input_name");
-    const typeInput = document.querySelector("#editor_input_type");
-    const descInput = document.querySelector("#editor_input_description");
-    const difficultyInput = document.querySelector("#editor_input_difficulty");
-
-    let startHour = document.querySelector("#editor_input_start_hour").value;
-    let startMinute = document.querySelector("#editor_input_start_minute").value;
-    if(startHour.toString().length != 2) {
-        startHour = "0" + startHour;
-    }
-    if(startMinute.toString().length != 2) {
-        startMinute = "0" + startMinute;
-    } 
-    let newStartTime = `${startHour}:${startMinute}`;
-    
-    let endHour = document.querySelector("#editor_input_end_hour").value;
-    let endMinute = document.querySelector("#editor_input_end_minute").value;
-    if(endHour.toString().length != 2) {
-        endHour = "0" + endHour;
-    }
-    if(endMinute.toString().length != 2) {
-        endMinute = "0" + endMinute;
-    } 
-    let newEndTime = `${endHour}:${endMinute}`;
-
-    event.name = nameInput.value;
-    event.type = typeInput.value;
-    event.description = descInput.value;
-    event.difficulty = difficultyInput.value;
-    event.startTime = newStartTime;
-    event.endTime = newEndTime;
-    
+    const input = readEditorInput();
+    if(!validateEditor(input, event)) {
+        return;
+    }
+    const spanDays = input.endDate ? getDaysBetween(parseDateString(input.date), parseDateString(input.endDate)) : 0;
+    const changes = {
+        name: input.name,
+        type: input.type,
+        category: input.category,
+        description: input.description,
+        difficulty: input.difficulty,
+        xpValue: getDifficultyXP(input.difficulty),
+        startTime: input.startTime,
+        endTime: input.endTime,
+        allDay: input.allDay,
+        reminders: input.reminders,
+    };
+    let changedEvent = event;
+    if(event.seriesID) {
+        changedEvent = findSeries(event, globalEventList);
+        // The end date is kept relative to the start, since the series
+        // starts on another date than the occurrence
+        if(input.scope === "series") {
+            Object.assign(changedEvent, changes);
+            // Moving an occurrence moves the whole series by as many days,
+            // along with the occurrences that were changed on their own
+            const dayOffset = getDaysBetween(parseDateString(event.date), parseDateString(input.date));
+            changedEvent.date = addDaysToDateString(changedEvent.date, dayOffset);
+            shiftSeriesExceptions(changedEvent, dayOffset);
+            changedEvent.endDate = (spanDays > 0) ? addDaysToDateString(changedEvent.date, spanDays) : null;
+            changedEvent.recurrence = input.recurrence;
+            changedEvent.checklist = createChecklist(input.checklist, changedEvent.checklist);
+        } else {
+            changes.endDate = (spanDays > 0) ? addDaysToDateString(event.date, spanDays) : null;
+            changes.checklist = createChecklist(input.checklist, event.checklist);
+            setOccurrenceException(event, changes, globalEventList);
+        }
+    } else {
+        Object.assign(event, changes);
+        event.date = input.date;
+        event.endDate = input.endDate;
+        event.recurrence = input.recurrence;
+        event.checklist = createChecklist(input.checklist, event.checklist);
+    }
+    // Occurrences have to be recreated for changes to the series to show up
+    selectedCalendarDay.refreshEventList();
+    return changedEvent;
 }
 
 // TODO: Needs proper documentation!
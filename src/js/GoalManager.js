@@ -0,0 +1,281 @@
+/*
+                                = GOAL MANAGER =
+    The goal manager keeps track of the user's daily goal, and of their streak
+    of days on which the goal was met. Tasks are counted from the finished
+    tasks in the event list, and XP from the XP ledger, so the streak stays
+    correct when tasks are reopened or deleted. Streak freezes can be earned
+    with XP, and are used up automatically to keep a streak alive over a
+    missed day.
+*/
+
+// The things a daily goal can count, with the label shown to the user
+const DAILY_GOAL_TYPES = {tasks: "tasks", xp: "XP"};
+const DEFAULT_DAILY_GOAL = {type: "tasks", target: 3};
+// Every FREEZE_TOKEN_XP XP earned gives the user a streak freeze, but they
+// can't hold more than MAX_FREEZE_TOKENS at once.
+const FREEZE_TOKEN_XP = 2000;
+const MAX_FREEZE_TOKENS = 3;
+
+var dailyGoal = Object.assign({}, DEFAULT_DAILY_GOAL);
+// tokens is the amount of streak freezes the user holds, xpCounted the XP
+// earned towards the next one and frozenDays the dates (DD-MM-YYYY) a freeze
+// was used on.
+var streakFreezes = {tokens: 0, xpCounted: 0, frozenDays: []};
+
+/**
+ * Loads the daily goal and streak freezes of a user.
+ * @param {String} user The username, or null to start from scratch.
+ */
+function loadDailyGoal(user) {
+    dailyGoal = Object.assign({}, DEFAULT_DAILY_GOAL);
+    streakFreezes = {tokens: 0, xpCounted: 0, frozenDays: []};
+    if(user) {
+        dailyGoal = loadLocalSetting(`dailyGoal_${user}`, dailyGoal);
+        streakFreezes = loadLocalSetting(`streakFreezes_${user}`, streakFreezes);
+    }
+}
+
+/**
+ * Saves the signed in user's daily goal and streak freezes.
+ */
+function saveDailyGoal() {
+    if(!userSession) {
+        return;
+    }
+    saveLocalSetting(`dailyGoal_${userSession.user}`, dailyGoal);
+    saveLocalSetting(`streakFreezes_${userSession.user}`, streakFreezes);
+}
+
+/**
+ * Changes the user's daily goal.
+ * @param {String} type What the goal counts, one of the keys of
+ * DAILY_GOAL_TYPES.
+ * @param {Number|String} target How many tasks or how much XP is needed each
+ * day, as a number or as the string value of an input.
+ * @return {Boolean} True if the goal was changed, false if it was invalid.
+ */
+function setDailyGoal(type, target) {
+    const parsedTarget = parseInt(target);
+    if(!DAILY_GOAL_TYPES[type] || !(parsedTarget > 0)) {
+        return false;
+    }
+    dailyGoal = {type: type, target: parsedTarget};
+    saveDailyGoal();
+    return true;
+}
+
+/**
+ * Counts the XP earned towards streak freezes, and hands out a freeze for
+ * every FREEZE_TOKEN_XP. Negative amounts, e.g. from reopened tasks, count
+ * against the next freeze, so XP can't be earned twice.
+ * @param {Number} amount The amount of XP.
+ * @return {Number} The amount of freezes earned.
+ */
+function addFreezeTokenXP(amount) {
+    let earned = 0;
+    streakFreezes.xpCounted += amount;
+    while(streakFreezes.xpCounted >= FREEZE_TOKEN_XP) {
+        streakFreezes.xpCounted -= FREEZE_TOKEN_XP;
+        if(streakFreezes.tokens < MAX_FREEZE_TOKENS) {
+            streakFreezes.tokens++;
+            earned++;
+        }
+    }
+    saveDailyGoal();
+    if(earned > 0) {
+        showToast(`You earned a streak freeze! You have ${streakFreezes.tokens} now.`);
+    }
+    return earned;
+}
+
+/**
+ * Adds up the tasks the user finished on each day, and the XP they earned.
+ * Tasks count towards the day they were finished on, and only tasks on the
+ * user's own board are counted. XP comes from the XP ledger, so it's the XP
+ * that was actually awarded, with every bonus and penalty.
+ * @param {Array} eventList The list of events, including repeating events.
+ * @return {Object} An object with a {tasks, xp} object for each date
+ * (DD-MM-YYYY) that has finished tasks or XP.
+ */
+function getDailyTotals(eventList) {
+    const totals = {};
+    if(!userSession) {
+        return totals;
+    }
+    const getDayTotals = (dateString) => {
+        totals[dateString] = totals[dateString] || {tasks: 0, xp: 0};
+        return totals[dateString];
+    };
+    eventList.forEach((obj) => {
+        if(obj.type !== "task" || getEventBoard(obj) !== userSession.user) {
+            return;
+        }
+        if(obj.recurrence) {
+            // Finished occurrences are saved as exceptions on their series
+            Object.keys(obj.exceptions).forEach((dateString) => {
+                const exception = obj.exceptions[dateString];
+                if(exception.finished && !exception.deleted) {
+                    getDayTotals(exception.finishedOn || dateString).tasks++;
+                }
+            });
+        } else if(obj.finished) {
+            getDayTotals(obj.finishedOn || obj.date).tasks++;
+        }
+    });
+    getDailyXP().forEach((xp, dateString) => {
+        // XP taken back on a day can't take it below nothing
+        getDayTotals(dateString).xp = Math.max(0, xp);
+    });
+    return totals;
+}
+
+/**
+ * Adds up the XP ledger entries of each day. XP that is taken back, e.g.
+ * because a task was reopened, counts against the day the event earned it
+ * on, not the day it was taken back. XP carried over from before the ledger
+ * existed doesn't belong to any day, and is left out.
+ * @return {Map} The XP of each date (DD-MM-YYYY) that has ledger entries.
+ */
+function getDailyXP() {
+    const dailyXP = new Map();
+    // The day each event last earned XP on
+    const earnedOn = {};
+    xpLedger.forEach((entry) => {
+        if(entry.source === "legacy") {
+            return;
+        }
+        let dateString = getDateStringFromDate(new Date(entry.timestamp));
+        if(entry.amount < 0 && entry.eventID !== null && earnedOn[entry.eventID]) {
+            dateString = earnedOn[entry.eventID];
+        } else if(entry.amount > 0 && entry.eventID !== null) {
+            earnedOn[entry.eventID] = dateString;
+        }
+        dailyXP.set(dateString, (dailyXP.get(dateString) || 0) + entry.amount);
+    });
+    return dailyXP;
+}
+
+/**
+ * Checks if the daily goal was met with a day's totals.
+ * @param {Object} dayTotals The {tasks, xp} totals of the day, as returned
+ * by getDailyTotals.
+ * @return {Boolean} True if the goal was met.
+ */
+function isDailyGoalMet(dayTotals) {
+    if(!dayTotals) {
+        return false;
+    }
+    return dayTotals[dailyGoal.type] >= dailyGoal.target;
+}
+
+/**
+ * Finds every day on which the daily goal was met.
+ * @param {Array} eventList The list of events, including repeating events.
+ * @return {Array} The dates, in DD-MM-YYYY format.
+ */
+function getGoalMetDays(eventList) {
+    const totals = getDailyTotals(eventList);
+    return Object.keys(totals).filter(dateString => isDailyGoalMet(totals[dateString]));
+}
+
+/**
+ * Counts the days in a row the daily goal has been met. The streak counts
+ * back from today, or from yesterday if the goal hasn't been met yet today.
+ * Frozen days keep the streak going, but don't add to it.
+ * @param {Array} eventList The list of events, including repeating events.
+ * @return {Number} The length of the streak in days.
+ */
+function getGoalStreak(eventList) {
+    const metDays = getGoalMetDays(eventList);
+    const day = new Date();
+    day.setHours(0, 0, 0, 0);
+    if(!metDays.includes(getDateStringFromDate(day))) {
+        day.setDate(day.getDate() - 1);
+    }
+    let streak = 0;
+    let dateString = getDateStringFromDate(day);
+    while(metDays.includes(dateString) || streakFreezes.frozenDays.includes(dateString)) {
+        if(metDays.includes(dateString)) {
+            streak++;
+        }
+        day.setDate(day.getDate() - 1);
+        dateString = getDateStringFromDate(day);
+    }
+    return streak;
+}
+
+/**
+ * Uses the user's streak freezes on the days they missed since their streak
+ * was last kept going, if they have enough to cover all of them. Should be
+ * called once the events have been loaded.
+ * @param {Array} eventList The list of events, including repeating events.
+ * @return {Number} The amount of freezes that were used.
+ */
+function applyStreakFreezes(eventList) {
+    if(streakFreezes.tokens === 0) {
+        return 0;
+    }
+    const metDays = getGoalMetDays(eventList);
+    const day = new Date();
+    day.setHours(0, 0, 0, 0);
+    // Today isn't over yet, so the missed days start with yesterday
+    day.setDate(day.getDate() - 1);
+    const missedDays = [];
+    let dateString = getDateStringFromDate(day);
+    while(!metDays.includes(dateString) && !streakFreezes.frozenDays.includes(dateString)) {
+        if(missedDays.length === streakFreezes.tokens) {
+            // Too many days were missed, so the streak is lost anyway
+            return 0;
+        }
+        missedDays.push(dateString);
+        day.setDate(day.getDate() - 1);
+        dateString = getDateStringFromDate(day);
+    }
+    if(missedDays.length === 0) {
+        return 0;
+    }
+    streakFreezes.tokens -= missedDays.length;
+    streakFreezes.frozenDays.push(...missedDays);
+    saveDailyGoal();
+    showToast(`${missedDays.length === 1 ? "A streak freeze was" : `${missedDays.length} streak freezes were`} used to keep your streak going.`);
+    return missedDays.length;
+}
+
+/**
+ * Fills the daily goal card with today's progress, the streak and the
+ * streak freezes the user holds.
+ * @param {Element} container The daily goal card.
+ * @param {Array} eventList The list of events, including repeating events.
+ */
+function renderDailyGoal(container, eventList) {
+    const today = getDailyTotals(eventList)[getDateStringFromDate(new Date())] || {tasks: 0, xp: 0};
+    const progress = today[dailyGoal.type];
+    const streak = getGoalStreak(eventList);
+
+    container.querySelector("#daily_goal_streak").textContent = `${streak} ${streak === 1 ? "day" : "days"}`;
+    const freezeEl = container.querySelector("#daily_goal_freezes");
+    freezeEl.textContent = `${streakFreezes.tokens}/${MAX_FREEZE_TOKENS}`;
+    freezeEl.parentElement.title = `Streak freezes keep your streak going over a missed day. You earn one every ${FREEZE_TOKEN_XP} XP, ${FREEZE_TOKEN_XP - Math.max(0, streakFreezes.xpCounted)} XP to go.`;
+    container.querySelector("#daily_goal_progress").textContent = `${progress}/${dailyGoal.target} ${DAILY_GOAL_TYPES[dailyGoal.type]} today`;
+    container.querySelector("#daily_goal_bar_fill").style.width = `${Math.min(100, progress / dailyGoal.target * 100)}%`;
+    container.classList.toggle("met", isDailyGoalMet(today));
+    container.querySelector("#daily_goal_input_type").value = dailyGoal.type;
+    container.querySelector("#daily_goal_input_target").value = dailyGoal.target;
+}
+
+/**
+ * Marks the days in a calendar grid on which the daily goal was met.
+ * @param {Element} container The element containing the day divs, which
+ * need their date in data-date.
+ * @param {Array} eventList The list of events, including repeating events.
+ */
+function markGoalMetDays(container, eventList) {
+    const metDays = getGoalMetDays(eventList);
+    for(let i = 0; i < container.children.length; i++) {
+        const dayDiv = container.children[i];
+        if(metDays.includes(dayDiv.dataset.date)) {
+            dayDiv.classList.add("goal_met");
+            dayDiv.title = "Daily goal met";
+        }
+    }
+}
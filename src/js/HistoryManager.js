@@ -0,0 +1,182 @@
+/*
+                              = HISTORY MANAGER =
+    The history manager remembers the changes made to the calendar, so they
+    can be undone and redone. Each change is kept as copies of the events it
+    touched, from before and after the change, along with the XP it awarded
+    or took back. Undoing a change puts the old copies back and sends them to
+    the server like any other change, so the server ends up matching what the
+    user sees. Tasks it finished or reopened are counted in, or taken out of,
+    the lifetime stats again.
+*/
+
+const MAX_HISTORY_LENGTH = 50;
+
+// Changes are objects with the properties label (e.g. 'Deleted "Dentist"'),
+// before and after (arrays of {id, event} copies, where event is null if the
+// event didn't exist) and xpEntries (the XP ledger entries the change made).
+var undoStack = [];
+var redoStack = [];
+
+/**
+ * Forgets every change, e.g. when another user signs in.
+ */
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+}
+
+/**
+ * Copies the current state of some events in globalEventList.
+ * @param {Array} eventIDs The IDs of the events. For occurrences of repeating
+ * events, this should be the ID of the series.
+ * @return {Array} An {id, event} object for each ID, where event is a plain
+ * copy of the event, or null if there is no event with that ID.
+ */
+function snapshotEvents(eventIDs) {
+    return eventIDs.map((id) => {
+        const event = globalEventList.find(obj => obj.id === id);
+        return {id: id, event: event ? JSON.parse(JSON.stringify(event)) : null};
+    });
+}
+
+/**
+ * Starts recording a change. Has to be called before anything is changed,
+ * including XP being awarded.
+ * @param {Array} eventIDs The IDs of the events that are about to change.
+ * @return {Object} The change, to be passed to recordChange once it's done.
+ */
+function beginChange(eventIDs) {
+    return {before: snapshotEvents(eventIDs), xpLedgerLength: xpLedger.length};
+}
+
+/**
+ * Finishes recording a change and adds it to the history. Changes that were
+ * undone can't be redone after this.
+ * @param {Object} change The change, as returned by beginChange.
+ * @param {String} label A short description of the change.
+ * @param {Array} newEventIDs The IDs of any events the change created.
+ * @return {Object} The change.
+ */
+function recordChange(change, label, newEventIDs = []) {
+    newEventIDs.forEach((id) => {
+        change.before.push({id: id, event: null});
+    });
+    change.label = label;
+    change.after = snapshotEvents(change.before.map(snapshot => snapshot.id));
+    change.xpEntries = xpLedger.slice(change.xpLedgerLength);
+    delete change.xpLedgerLength;
+    undoStack.push(change);
+    if(undoStack.length > MAX_HISTORY_LENGTH) {
+        undoStack.shift();
+    }
+    redoStack = [];
+    return change;
+}
+
+/**
+ * Puts copies of events back in globalEventList, and queues the changes to
+ * be sent to the server.
+ * @param {Array} snapshots The copies, as returned by snapshotEvents.
+ */
+function restoreEventSnapshots(snapshots) {
+    snapshots.forEach((snapshot) => {
+        const current = globalEventList.find(obj => obj.id === snapshot.id);
+        if(current) {
+            removeEvent(snapshot.id, globalEventList);
+        }
+        if(snapshot.event === null) {
+            if(current) {
+                queueEventChange("delete", current);
+            }
+            return;
+        }
+        const restored = new CalendarEvent(snapshot.event);
+        // The server counts versions from its latest copy, not from the copy
+        // that is being restored
+        restored.version = current ? current.version : snapshot.event.version;
+        globalEventList.push(restored);
+        queueEventChange(current ? "update" : "create", restored);
+    });
+}
+
+/**
+ * Finds the finished tasks in copies of events, including the finished
+ * occurrences of repeating tasks.
+ * @param {Array} snapshots The copies, as returned by snapshotEvents.
+ * @return {Array} The finished tasks.
+ */
+function getFinishedTasks(snapshots) {
+    const finishedTasks = [];
+    snapshots.forEach((snapshot) => {
+        if(snapshot.event === null) {
+            return;
+        }
+        const events = snapshot.event.recurrence ? getExceptionOccurrences(snapshot.event) : [snapshot.event];
+        events.forEach((obj) => {
+            if(obj.type === "task" && obj.finished === true) {
+                finishedTasks.push(obj);
+            }
+        });
+    });
+    return finishedTasks;
+}
+
+/**
+ * Updates the lifetime stats for the tasks that are finished or reopened by
+ * going from one set of copies to another, e.g. when a change is undone.
+ * @param {Array} fromSnapshots The copies of the events as they are now.
+ * @param {Array} toSnapshots The copies that are being restored.
+ */
+function replayFinishedTasks(fromSnapshots, toSnapshots) {
+    const finishedBefore = getFinishedTasks(fromSnapshots);
+    const finishedAfter = getFinishedTasks(toSnapshots);
+    reverseFinishedTasks(finishedBefore.filter(obj => !finishedAfter.some(other => other.id === obj.id)));
+    recordFinishedTasks(finishedAfter.filter(obj => !finishedBefore.some(other => other.id === obj.id)));
+}
+
+/**
+ * Undoes the latest change that hasn't been undone yet.
+ * @return {Object} The change that was undone, or null if there was none.
+ */
+function undoLastChange() {
+    const change = undoStack.pop();
+    if(!change) {
+        return null;
+    }
+    restoreEventSnapshots(change.before);
+    replayXPEntries(change.xpEntries, true);
+    replayFinishedTasks(change.after, change.before);
+    redoStack.push(change);
+    return change;
+}
+
+/**
+ * Redoes the latest change that was undone.
+ * @return {Object} The change that was redone, or null if there was none.
+ */
+function redoLastChange() {
+    const change = redoStack.pop();
+    if(!change) {
+        return null;
+    }
+    restoreEventSnapshots(change.after);
+    replayXPEntries(change.xpEntries, false);
+    replayFinishedTasks(change.before, change.after);
+    undoStack.push(change);
+    return change;
+}
+
+/**
+ * Undoes a specific change, e.g. from the undo button of a message. Only the
+ * latest change can be undone, since undoing an older one would also throw
+ * away the changes made after it.
+ * @param {Object} change The change, as returned by recordChange.
+ * @return {Boolean} True if the change was undone.
+ */
+function undoChange(change) {
+    if(undoStack[undoStack.length - 1] !== change) {
+        return false;
+    }
+    undoLastChange();
+    return true;
+}
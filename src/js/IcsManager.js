@@ -0,0 +1,608 @@
+/*
+                                = ICS MANAGER =
+    The ICS manager converts events to and from the iCalendar format (RFC
+    5545), so that they can be moved between Dayblazer and other calendar
+    apps. Tasks are exported as VTODO components and everything else as
+    VEVENT components. Dayblazer specific information, such as an event's type
+    and difficulty, is kept in X-DAYBLAZER properties so that nothing is lost
+    when a file is exported and imported again.
+*/
+
+const ICS_PRODUCT_ID = "-//Dayblazer Calendar//Dayblazer//EN";
+const ICS_LINE_LENGTH = 75;
+const ICS_WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+const ICS_FREQUENCIES = {daily: "DAILY", weekly: "WEEKLY", monthly: "MONTHLY", yearly: "YEARLY"};
+
+// == EXPORT ==
+
+/**
+ * Returns the UID an event is identified by in iCalendar files. Imported
+ * events keep the UID they were imported with.
+ * @param {CalendarEvent} event The event.
+ * @return {String} The UID.
+ */
+function getEventUID(event) {
+    return event.uid || `${event.id}@dayblazer`;
+}
+
+/**
+ * Escapes characters that have a special meaning in iCalendar text values.
+ * @param {String} text The text to escape.
+ * @return {String} The escaped text.
+ */
+function escapeIcsText(text) {
+    return `${text || ""}`
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Returns the amount of bytes a character takes up in UTF-8.
+ * @param {String} character The character, which may be a surrogate pair.
+ * @return {Number} A number from 1 to 4.
+ */
+function getUTF8Length(character) {
+    const codePoint = character.codePointAt(0);
+    if(codePoint < 0x80) {
+        return 1;
+    } else if(codePoint < 0x800) {
+        return 2;
+    } else if(codePoint < 0x10000) {
+        return 3;
+    }
+    return 4;
+}
+
+/**
+ * Splits a content line into several lines if it's longer than what RFC 5545
+ * allows, which is 75 bytes of UTF-8 per line. Continuation lines start with a
+ * space, and characters are never split across lines.
+ * @param {String} line The content line.
+ * @return {String} The folded line, with lines separated by CRLF.
+ */
+function foldIcsLine(line) {
+    const parts = [];
+    let part = "";
+    let partLength = 0;
+    // Iterating over a string gives whole characters, not UTF-16 code units
+    for(const character of line) {
+        const length = getUTF8Length(character);
+        if(partLength + length > ICS_LINE_LENGTH) {
+            parts.push(part);
+            part = " ";
+            partLength = 1;
+        }
+        part += character;
+        partLength += length;
+    }
+    parts.push(part);
+    return parts.join("\r\n");
+}
+
+/**
+ * Formats a date and time as a local ("floating") iCalendar date-time.
+ * @param {String} dateString The date in DD-MM-YYYY format.
+ * @param {String} timeString The time in HH:MM format.
+ * @return {String} The date-time in YYYYMMDDTHHMMSS format.
+ */
+function formatIcsDateTime(dateString, timeString) {
+    const parts = dateString.toString().trim().split("-");
+    const time = `${timeString || "00:00"}`.replace(":", "");
+    return `${parts[2]}${parts[1]}${parts[0]}T${time}00`;
+}
+
+/**
+ * Formats the parameters and value of a date property, such as DTSTART. All-day
+ * events get a date without a time.
+ * @param {String} dateString The date in DD-MM-YYYY format.
+ * @param {String} timeString The time in HH:MM format.
+ * @param {Boolean} allDay If true, the value is a date without a time.
+ * @return {String} The text following the property name, e.g.
+ * ";VALUE=DATE:20210601" or ":20210601T093000".
+ */
+function formatIcsDateProperty(dateString, timeString, allDay) {
+    if(allDay) {
+        return `;VALUE=DATE:${formatIcsDateTime(dateString).slice(0, 8)}`;
+    }
+    return `:${formatIcsDateTime(dateString, timeString)}`;
+}
+
+/**
+ * Formats a Date object as a UTC iCalendar date-time.
+ * @param {Date} date The date to format.
+ * @return {String} The date-time in YYYYMMDDTHHMMSSZ format.
+ */
+function formatIcsUTCDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Converts a recurrence rule to the value of an iCalendar RRULE property.
+ * @param {Object} recurrence The recurrence rule.
+ * @param {String} startDateString The date of the first occurrence, in
+ * DD-MM-YYYY format.
+ * @return {String} The RRULE value, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO".
+ */
+function createIcsRecurrenceRule(recurrence, startDateString) {
+    const rule = [`FREQ=${ICS_FREQUENCIES[recurrence.frequency]}`];
+    const interval = parseInt(recurrence.interval) || 1;
+    if(interval > 1) {
+        rule.push(`INTERVAL=${interval}`);
+    }
+    if(recurrence.frequency === "weekly" && recurrence.weekdays && recurrence.weekdays.length > 0) {
+        rule.push(`BYDAY=${recurrence.weekdays.map(index => ICS_WEEKDAYS[index]).join(",")}`);
+    }
+    if(recurrence.frequency === "monthly" && recurrence.monthlyMode === "weekday") {
+        const startDate = parseDateString(startDateString);
+        rule.push(`BYDAY=${getWeekdayOccurrence(startDate)}${ICS_WEEKDAYS[getWeekdayIndex(startDate)]}`);
+    }
+    if(recurrence.until) {
+        rule.push(`UNTIL=${formatIcsDateTime(recurrence.until, "23:59").slice(0, 8)}`);
+    }
+    if(recurrence.count) {
+        rule.push(`COUNT=${recurrence.count}`);
+    }
+    return rule.join(";");
+}
+
+/**
+ * Creates the content lines for a single event. Tasks become VTODO
+ * components, everything else becomes VEVENT components.
+ * @param {CalendarEvent} event The event to convert.
+ * @param {String} timestamp The time of the export, as a UTC date-time.
+ * @return {Array} The content lines of the component.
+ */
+function createIcsComponent(event, timestamp) {
+    const componentName = (event.type === "task") ? "VTODO" : "VEVENT";
+    // All-day events use dates without a time. Their DTEND is the day after
+    // they end, while DUE is the day itself.
+    const start = formatIcsDateProperty(event.date, event.startTime, event.allDay);
+    const due = formatIcsDateProperty(getEventEndDate(event), event.endTime, event.allDay);
+    const end = event.allDay ? formatIcsDateProperty(addDaysToDateString(getEventEndDate(event), 1), null, true) : due;
+    const lines = [
+        `BEGIN:${componentName}`,
+        `UID:${getEventUID(event)}`,
+        `DTSTAMP:${timestamp}`,
+        `DTSTART${start}`,
+    ];
+    if(componentName === "VTODO") {
+        lines.push(`DUE${due}`);
+        if(event.finished === true) {
+            lines.push("STATUS:COMPLETED");
+            lines.push("PERCENT-COMPLETE:100");
+            lines.push(`COMPLETED:${timestamp}`);
+        } else {
+            lines.push("STATUS:NEEDS-ACTION");
+        }
+    } else {
+        lines.push(`DTEND${end}`);
+    }
+    lines.push(`SUMMARY:${escapeIcsText(event.name)}`);
+    if(event.description) {
+        lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    }
+    if(event.recurrence) {
+        lines.push(`RRULE:${createIcsRecurrenceRule(event.recurrence, event.date)}`);
+        Object.keys(event.exceptions).forEach((dateString) => {
+            if(event.exceptions[dateString].deleted) {
+                // Excluded dates have the same value type as DTSTART
+                lines.push(`EXDATE${formatIcsDateProperty(dateString, event.startTime, event.allDay)}`);
+            }
+        });
+    }
+    lines.push(`X-DAYBLAZER-TYPE:${event.type}`);
+    lines.push(`X-DAYBLAZER-DIFFICULTY:${event.difficulty}`);
+    lines.push(`END:${componentName}`);
+    return lines;
+}
+
+/**
+ * Checks if an event, or any occurrence of it, falls within a date range.
+ * @param {CalendarEvent} event The event to check.
+ * @param {Date} startDate The first day of the range, or null for no limit.
+ * @param {Date} endDate The last day of the range, or null for no limit.
+ * @return {Boolean} True if the event is within the range.
+ */
+function isEventInRange(event, startDate, endDate) {
+    const eventDate = parseDateString(event.date);
+    if(endDate && eventDate > endDate) {
+        return false;
+    }
+    if(startDate) {
+        let lastDate = parseDateString(getEventEndDate(event));
+        if(event.recurrence) {
+            if(!event.recurrence.until && !event.recurrence.count) {
+                return true;
+            }
+            lastDate = event.recurrence.until ? parseDateString(event.recurrence.until) : getSeriesLastDate(event);
+        }
+        return lastDate >= startDate;
+    }
+    return true;
+}
+
+/**
+ * Converts a list of events to an iCalendar file. Repeating events are
+ * exported once, with their recurrence rule.
+ * @param {Array} eventList The events to export.
+ * @param {String} startDateString Only export events on or after this date,
+ * in DD-MM-YYYY format. Optional.
+ * @param {String} endDateString Only export events on or before this date, in
+ * DD-MM-YYYY format. Optional.
+ * @return {String} The contents of the iCalendar file.
+ */
+function exportEventsToIcs(eventList, startDateString = null, endDateString = null) {
+    const startDate = startDateString ? parseDateString(startDateString) : null;
+    const endDate = endDateString ? parseDateString(endDateString) : null;
+    const timestamp = formatIcsUTCDateTime(new Date());
+
+    let lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${ICS_PRODUCT_ID}`,
+        "CALSCALE:GREGORIAN",
+    ];
+    eventList.forEach((event) => {
+        if(isEventInRange(event, startDate, endDate)) {
+            lines = lines.concat(createIcsComponent(event, timestamp));
+        }
+    });
+    lines.push("END:VCALENDAR");
+    return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Lets the user download a text file.
+ * @param {String} fileName The name of the file.
+ * @param {String} contents The contents of the file.
+ * @param {String} mimeType The MIME type of the file.
+ */
+function downloadTextFile(fileName, contents, mimeType) {
+    const blob = new Blob([contents], {type: mimeType});
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// == IMPORT ==
+
+/**
+ * Reverses escapeIcsText.
+ * @param {String} text The escaped text.
+ * @return {String} The unescaped text.
+ */
+function unescapeIcsText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, character) => {
+        return (character === "n" || character === "N") ? "\n" : character;
+    });
+}
+
+/**
+ * Splits the contents of an iCalendar file into its components. Only VEVENT
+ * and VTODO components are returned, and components nested inside them (such
+ * as alarms) are skipped.
+ * @param {String} text The contents of the file.
+ * @return {Array} An array of objects with the properties type ("VEVENT" or
+ * "VTODO") and properties, which maps property names to arrays of
+ * {value, params} objects.
+ */
+function parseIcs(text) {
+    // Lines starting with whitespace are continuations of the previous line
+    const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+    const components = [];
+    let current = null;
+    let nestedDepth = 0;
+
+    lines.forEach((line) => {
+        if(line.trim() === "") {
+            return;
+        }
+        const colonIndex = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+        if(colonIndex === -1) {
+            return;
+        }
+        const nameAndParams = line.slice(0, colonIndex).split(";");
+        const name = nameAndParams[0].toUpperCase();
+        const value = line.slice(colonIndex + 1);
+
+        if(name === "BEGIN") {
+            if(current) {
+                nestedDepth++;
+            } else if(value === "VEVENT" || value === "VTODO") {
+                current = {type: value, properties: {}};
+            }
+            return;
+        }
+        if(name === "END") {
+            if(nestedDepth > 0) {
+                nestedDepth--;
+            } else if(current && value === current.type) {
+                components.push(current);
+                current = null;
+            }
+            return;
+        }
+        if(!current || nestedDepth > 0) {
+            return;
+        }
+
+        const params = {};
+        nameAndParams.slice(1).forEach((param) => {
+            const parts = param.split("=");
+            params[parts[0].toUpperCase()] = (parts[1] || "").replace(/"/g, "");
+        });
+        if(!current.properties[name]) {
+            current.properties[name] = [];
+        }
+        current.properties[name].push({value: value, params: params});
+    });
+    return components;
+}
+
+/**
+ * Returns how many milliseconds a time zone is ahead of UTC at a point in
+ * time.
+ * @param {Date} date The point in time.
+ * @param {String} timeZone An IANA time zone name, e.g. "Europe/Stockholm".
+ * @return {Number} The offset in milliseconds.
+ */
+function getTimeZoneOffset(date, timeZone) {
+    const formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone: timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+    });
+    const values = {};
+    formatter.formatToParts(date).forEach((part) => {
+        values[part.type] = parseInt(part.value);
+    });
+    const asUTC = Date.UTC(values.year, values.month - 1, values.day, values.hour % 24, values.minute, values.second);
+    return asUTC - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Parses an iCalendar DATE or DATE-TIME property and converts it to the local
+ * time zone.
+ * @param {Object} property The property, as returned by parseIcs.
+ * @return {Object} An object with the properties date (a Date object) and
+ * allDay (true if the property only contained a date), or null if the value
+ * couldn't be parsed.
+ */
+function parseIcsDate(property) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(property.value.trim());
+    if(!match) {
+        return null;
+    }
+    const year = parseInt(match[1]);
+    const month = parseInt(match[2]) - 1;
+    const day = parseInt(match[3]);
+    if(match[4] === undefined) {
+        return {date: new Date(year, month, day), allDay: true};
+    }
+    const hour = parseInt(match[4]);
+    const minute = parseInt(match[5]);
+    const second = parseInt(match[6] || "0");
+
+    if(match[7] === "Z") {
+        return {date: new Date(Date.UTC(year, month, day, hour, minute, second)), allDay: false};
+    }
+    if(property.params.TZID) {
+        try {
+            // The offset is looked up twice, in case the first guess lands on
+            // the other side of a daylight saving time change.
+            const wallTime = Date.UTC(year, month, day, hour, minute, second);
+            let offset = getTimeZoneOffset(new Date(wallTime), property.params.TZID);
+            let date = new Date(wallTime - offset);
+            offset = getTimeZoneOffset(date, property.params.TZID);
+            date = new Date(wallTime - offset);
+            return {date: date, allDay: false};
+        } catch (err) {
+            // Unknown time zone names are treated as local time below
+            console.warn(`Unknown time zone '${property.params.TZID}', using local time.`);
+        }
+    }
+    return {date: new Date(year, month, day, hour, minute, second), allDay: false};
+}
+
+/**
+ * Parses an iCalendar DURATION value, e.g. "PT1H30M".
+ * @param {String} value The duration value.
+ * @return {Number} The duration in milliseconds.
+ */
+function parseIcsDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if(!match) {
+        return 0;
+    }
+    const seconds = (parseInt(match[2] || 0) * 7 * 86400) +
+        (parseInt(match[3] || 0) * 86400) +
+        (parseInt(match[4] || 0) * 3600) +
+        (parseInt(match[5] || 0) * 60) +
+        parseInt(match[6] || 0);
+    return (match[1] === "-" ? -seconds : seconds) * 1000;
+}
+
+/**
+ * Converts an iCalendar RRULE value to a recurrence rule.
+ * @param {String} value The RRULE value.
+ * @return {Object} A recurrence rule, or null if the rule uses a frequency
+ * Dayblazer doesn't support.
+ */
+function parseIcsRecurrenceRule(value) {
+    const parts = {};
+    value.split(";").forEach((part) => {
+        const keyValue = part.split("=");
+        parts[keyValue[0].toUpperCase()] = keyValue[1];
+    });
+    const frequency = Object.keys(ICS_FREQUENCIES).find((key) => {
+        return ICS_FREQUENCIES[key] === parts.FREQ;
+    });
+    if(!frequency) {
+        return null;
+    }
+    const recurrence = {
+        frequency: frequency,
+        interval: parseInt(parts.INTERVAL) || 1,
+        weekdays: [],
+        monthlyMode: "date",
+        until: null,
+        count: parseInt(parts.COUNT) || null,
+    };
+    if(parts.BYDAY) {
+        parts.BYDAY.split(",").forEach((day) => {
+            const match = /^([+-]?\d+)?([A-Z]{2})$/.exec(day);
+            if(!match) {
+                return;
+            }
+            if(match[1]) {
+                recurrence.monthlyMode = "weekday";
+            } else if(ICS_WEEKDAYS.includes(match[2])) {
+                recurrence.weekdays.push(ICS_WEEKDAYS.indexOf(match[2]));
+            }
+        });
+    }
+    if(parts.UNTIL) {
+        const until = parseIcsDate({value: parts.UNTIL, params: {}});
+        if(until) {
+            recurrence.until = getDateStringFromDate(until.date);
+        }
+    }
+    return recurrence;
+}
+
+/**
+ * Returns the time of a Date object as a string in HH:MM format.
+ * @param {Date} date The date.
+ * @return {String} The time in HH:MM format.
+ */
+function getTimeStringFromDate(date) {
+    const hour = `${date.getHours()}`.padStart(2, "0");
+    const minute = `${date.getMinutes()}`.padStart(2, "0");
+    return `${hour}:${minute}`;
+}
+
+/**
+ * Converts a component returned by parseIcs to the data needed to create a
+ * CalendarEvent. Every imported event gets a new ID, and keeps its UID so
+ * that it can be recognized if it's imported again.
+ * @param {Object} component The component.
+ * @return {Object} The event data, or null if the component has no start
+ * date.
+ */
+function createEventDataFromIcs(component) {
+    const properties = component.properties;
+    const getValue = (name) => properties[name] ? properties[name][0].value : null;
+
+    const startProperty = properties.DTSTART || properties.DUE;
+    const start = startProperty ? parseIcsDate(startProperty[0]) : null;
+    if(!start) {
+        return null;
+    }
+    let end = null;
+    const endProperty = properties.DTEND || properties.DUE;
+    if(endProperty) {
+        end = parseIcsDate(endProperty[0]);
+    } else if(properties.DURATION) {
+        end = {date: new Date(start.date.getTime() + parseIcsDuration(getValue("DURATION"))), allDay: start.allDay};
+    }
+
+    let type = (component.type === "VTODO") ? "task" : "event";
+    if(getValue("X-DAYBLAZER-TYPE")) {
+        type = getValue("X-DAYBLAZER-TYPE");
+    }
+    let difficulty = parseInt(getValue("X-DAYBLAZER-DIFFICULTY"));
+    if(!isValidDifficulty(difficulty)) {
+        difficulty = 1;
+    }
+    const status = (getValue("STATUS") || "").toUpperCase();
+
+    const eventData = {
+        id: createRandomID(),
+        uid: getValue("UID"),
+        name: unescapeIcsText(getValue("SUMMARY") || "Untitled"),
+        description: unescapeIcsText(getValue("DESCRIPTION") || ""),
+        date: getDateStringFromDate(start.date),
+        // All-day events take up the whole day
+        startTime: start.allDay ? "00:00" : getTimeStringFromDate(start.date),
+        endTime: "23:59",
+        type: type,
+        difficulty: difficulty,
+        xpValue: getDifficultyXP(difficulty),
+        finished: status === "COMPLETED" || properties.COMPLETED !== undefined,
+        recurrence: null,
+        exceptions: {},
+        allDay: start.allDay,
+    };
+    if(end) {
+        const endDay = new Date(end.date.getFullYear(), end.date.getMonth(), end.date.getDate());
+        // The DTEND or DURATION of an all-day event ends on the day after
+        // it, while DUE is the last day itself
+        if(start.allDay && (properties.DTEND || !properties.DUE)) {
+            endDay.setDate(endDay.getDate() - 1);
+        }
+        const startDay = new Date(start.date.getFullYear(), start.date.getMonth(), start.date.getDate());
+        if(getDaysBetween(startDay, endDay) > 0) {
+            eventData.endDate = getDateStringFromDate(endDay);
+        }
+        if(!start.allDay && endDay >= startDay) {
+            eventData.endTime = getTimeStringFromDate(end.date);
+        }
+    }
+    if(properties.RRULE) {
+        eventData.recurrence = parseIcsRecurrenceRule(getValue("RRULE"));
+    }
+    if(properties.EXDATE) {
+        properties.EXDATE.forEach((property) => {
+            property.value.split(",").forEach((value) => {
+                const exdate = parseIcsDate({value: value, params: property.params});
+                if(exdate) {
+                    eventData.exceptions[getDateStringFromDate(exdate.date)] = {deleted: true};
+                }
+            });
+        });
+    }
+    return eventData;
+}
+
+/**
+ * Imports the events in an iCalendar file. Events with a UID that already
+ * exists in the event list are skipped, so the same file can safely be
+ * imported more than once.
+ * @param {String} text The contents of the iCalendar file.
+ * @param {Array} eventList The list of existing events. Imported events are
+ * added to it.
+ * @return {Object} An object with the properties imported (an array of the
+ * new CalendarEvents), duplicates and invalid (the amount of skipped events).
+ */
+function importEventsFromIcs(text, eventList) {
+    const result = {imported: [], duplicates: 0, invalid: 0};
+    const knownUIDs = eventList.map(getEventUID);
+    parseIcs(text).forEach((component) => {
+        const eventData = createEventDataFromIcs(component);
+        if(!eventData) {
+            result.invalid++;
+            return;
+        }
+        if(eventData.uid && knownUIDs.includes(eventData.uid)) {
+            result.duplicates++;
+            return;
+        }
+        const newEvent = new CalendarEvent(eventData);
+        eventList.push(newEvent);
+        knownUIDs.push(getEventUID(newEvent));
+        result.imported.push(newEvent);
+    });
+    return result;
+}
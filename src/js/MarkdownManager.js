@@ -0,0 +1,118 @@
+/*
+                              = MARKDOWN MANAGER =
+    The markdown manager turns event descriptions written in a small part of
+    Markdown into DOM nodes: paragraphs, bulleted and numbered lists, bold and
+    italic text, inline code and links. Everything is built with DOM nodes and
+    text nodes, never with innerHTML, so markup in a description is shown as
+    text rather than run. Descriptions without any Markdown come out as plain
+    paragraphs.
+*/
+
+const MARKDOWN_BULLET_PATTERN = /^\s*[-*+]\s+(.*)$/;
+const MARKDOWN_NUMBER_PATTERN = /^\s*\d+[.)]\s+(.*)$/;
+// Links, bold, italic, inline code and bare web addresses, in that order
+const MARKDOWN_INLINE_PATTERN = /\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|\*([^*\s][^*]*?)\*|`([^`]+)`|(https?:\/\/[^\s<]+[^\s<.,;:!?)])/;
+// Links to anything else, e.g. javascript: addresses, are shown as text
+const SAFE_LINK_PATTERN = /^(https?:|mailto:)/i;
+
+/**
+ * Renders a text written in Markdown as DOM nodes.
+ * @param {String} text The text.
+ * @return {DocumentFragment} The rendered text, made up of p, ul and ol
+ * elements.
+ */
+function renderMarkdown(text) {
+    const fragment = document.createDocumentFragment();
+    let paragraph = null;
+    let list = null;
+    (text || "").split(/\r?\n/).forEach((line) => {
+        const bullet = line.match(MARKDOWN_BULLET_PATTERN);
+        const number = line.match(MARKDOWN_NUMBER_PATTERN);
+        if(bullet || number) {
+            const listType = bullet ? "ul" : "ol";
+            if(!list || list.tagName.toLowerCase() !== listType) {
+                list = document.createElement(listType);
+                fragment.appendChild(list);
+            }
+            const item = document.createElement("li");
+            appendMarkdownInline(item, (bullet || number)[1]);
+            list.appendChild(item);
+            paragraph = null;
+        } else if(line.trim() === "") {
+            // Empty lines end the paragraph or list
+            paragraph = null;
+            list = null;
+        } else {
+            if(paragraph) {
+                paragraph.appendChild(document.createElement("br"));
+            } else {
+                paragraph = document.createElement("p");
+                fragment.appendChild(paragraph);
+            }
+            appendMarkdownInline(paragraph, line);
+            list = null;
+        }
+    });
+    return fragment;
+}
+
+/**
+ * Renders a single line of Markdown, with its links and text styles, and
+ * appends it to an element.
+ * @param {Element} parent The element to append the line to.
+ * @param {String} text The line.
+ */
+function appendMarkdownInline(parent, text) {
+    let rest = text;
+    let match = rest.match(MARKDOWN_INLINE_PATTERN);
+    while(match) {
+        if(match.index > 0) {
+            parent.appendChild(document.createTextNode(rest.slice(0, match.index)));
+        }
+        if(match[1] !== undefined) {
+            if(SAFE_LINK_PATTERN.test(match[2])) {
+                const link = createMarkdownLink(match[2]);
+                appendMarkdownInline(link, match[1]);
+                parent.appendChild(link);
+            } else {
+                parent.appendChild(document.createTextNode(match[0]));
+            }
+        } else if(match[3] !== undefined) {
+            const bold = document.createElement("strong");
+            appendMarkdownInline(bold, match[3]);
+            parent.appendChild(bold);
+        } else if(match[4] !== undefined) {
+            const italic = document.createElement("em");
+            appendMarkdownInline(italic, match[4]);
+            parent.appendChild(italic);
+        } else if(match[5] !== undefined) {
+            const code = document.createElement("code");
+            code.textContent = match[5];
+            parent.appendChild(code);
+        } else {
+            const link = createMarkdownLink(match[6]);
+            link.textContent = match[6];
+            parent.appendChild(link);
+        }
+        rest = rest.slice(match.index + match[0].length);
+        match = rest.match(MARKDOWN_INLINE_PATTERN);
+    }
+    if(rest !== "") {
+        parent.appendChild(document.createTextNode(rest));
+    }
+}
+
+/**
+ * Creates a link that opens in a new tab, without giving the page it opens
+ * access to this one.
+ * @param {String} href The address, which has to be checked against
+ * SAFE_LINK_PATTERN first.
+ * @return {Element} The link, without any content.
+ */
+function createMarkdownLink(href) {
+    const link = document.createElement("a");
+    link.href = href;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+    return link;
+}
@@ -0,0 +1,259 @@
+/*
+                               = QUEST MANAGER =
+    The quest manager runs the Adventure Tracks. A track is a themed list of
+    side-quests, handed out one at a time in order. Finishing tasks and quests
+    earns XP, which levels up the chosen track, and each level unlocks the
+    track's next quests.
+*/
+
+// The total track XP needed to reach each level, starting with level 1
+const TRACK_LEVEL_THRESHOLDS = [0, 500, 1500, 3000, 5000];
+
+// Each quest has an ID, a name, a description, the XP it's worth and the
+// track level it unlocks at. Quests are handed out in the order they're
+// listed.
+const ADVENTURE_TRACKS = [
+    {
+        id: "explorer",
+        name: "The Explorer",
+        description: "Get outside and see what's out there.",
+        icon: "fa-compass",
+        quests: [
+            {id: "explorer_rock", name: "Rock Collector", description: "Find a neat rock. You'll know it when you see it.", xp: 100, level: 1},
+            {id: "explorer_sunset", name: "Golden Hour", description: "Take a picture at sunset.", xp: 100, level: 1},
+            {id: "explorer_path", name: "The Road Less Travelled", description: "Walk somewhere you've never walked before.", xp: 200, level: 2},
+            {id: "explorer_map", name: "Cartographer", description: "Draw a map of your neighbourhood from memory, then check how close you got.", xp: 250, level: 3},
+            {id: "explorer_sunrise", name: "Early Bird", description: "Watch the sunrise from somewhere with a view.", xp: 300, level: 4},
+            {id: "explorer_summit", name: "Summit", description: "Climb the highest point you can reach in a day.", xp: 500, level: 5},
+        ],
+    },
+    {
+        id: "chef",
+        name: "The Chef",
+        description: "Cook your way through new flavours.",
+        icon: "fa-cutlery",
+        quests: [
+            {id: "chef_recipe", name: "New Recipe", description: "Learn a recipe you've never made before.", xp: 100, level: 1},
+            {id: "chef_spice", name: "Spice Rack", description: "Cook something with a spice you've never used.", xp: 100, level: 1},
+            {id: "chef_bread", name: "Daily Bread", description: "Bake a loaf of bread from scratch.", xp: 200, level: 2},
+            {id: "chef_market", name: "Market Day", description: "Cook a meal using only ingredients from a local market.", xp: 250, level: 3},
+            {id: "chef_dinner", name: "Host", description: "Cook dinner for friends or family.", xp: 300, level: 4},
+            {id: "chef_signature", name: "Signature Dish", description: "Invent a dish of your own and give it a name.", xp: 500, level: 5},
+        ],
+    },
+    {
+        id: "artist",
+        name: "The Artist",
+        description: "Make something, anything.",
+        icon: "fa-paint-brush",
+        quests: [
+            {id: "artist_doodle", name: "Doodler", description: "Fill a page with doodles.", xp: 100, level: 1},
+            {id: "artist_poem", name: "Wordsmith", description: "Write a short poem about your day.", xp: 100, level: 1},
+            {id: "artist_portrait", name: "Portrait", description: "Draw a portrait of someone, or of yourself.", xp: 200, level: 2},
+            {id: "artist_song", name: "Humming Along", description: "Learn to play or sing a song all the way through.", xp: 250, level: 3},
+            {id: "artist_gift", name: "Handmade", description: "Make something by hand and give it away.", xp: 300, level: 4},
+            {id: "artist_show", name: "Exhibition", description: "Show something you've made to an audience.", xp: 500, level: 5},
+        ],
+    },
+];
+
+// The signed in user's progress, with the properties activeTrack and tracks,
+// where tracks holds an {xp, completedQuests} object for each track they've
+// played.
+var questProgress = {activeTrack: ADVENTURE_TRACKS[0].id, tracks: {}};
+
+/**
+ * Loads the quest progress and XP ledger of a user. Progress is saved per
+ * user, so several people can use the same browser.
+ * @param {String} user The username, or null to start from scratch, e.g.
+ * after signing out.
+ */
+function loadQuestProgress(user) {
+    questProgress = {activeTrack: ADVENTURE_TRACKS[0].id, tracks: {}};
+    if(user) {
+        questProgress = loadLocalSetting(`questProgress_${user}`, questProgress);
+    }
+    loadXPLedger(user);
+}
+
+/**
+ * Saves the signed in user's quest progress.
+ */
+function saveQuestProgress() {
+    if(!userSession) {
+        return;
+    }
+    saveLocalSetting(`questProgress_${userSession.user}`, questProgress);
+}
+
+/**
+ * Finds an Adventure Track by its ID.
+ * @param {String} trackID The ID of the track.
+ * @return {Object} The track, or undefined if there is none with that ID.
+ */
+function findTrack(trackID) {
+    return ADVENTURE_TRACKS.find(obj => obj.id === trackID);
+}
+
+/**
+ * Returns the user's progress on a track, creating it if they haven't played
+ * the track before.
+ * @param {String} trackID The ID of the track.
+ * @return {Object} An object with the properties xp and completedQuests.
+ */
+function getTrackProgress(trackID) {
+    if(!questProgress.tracks[trackID]) {
+        questProgress.tracks[trackID] = {xp: 0, completedQuests: []};
+    }
+    return questProgress.tracks[trackID];
+}
+
+/**
+ * Calculates the track level reached with an amount of track XP.
+ * @param {Number} xp The total XP earned on the track.
+ * @return {Number} The level, starting at 1.
+ */
+function getTrackLevel(xp) {
+    let level = 0;
+    while(level < TRACK_LEVEL_THRESHOLDS.length && xp >= TRACK_LEVEL_THRESHOLDS[level]) {
+        level++;
+    }
+    return level;
+}
+
+/**
+ * Finds the quest the user should be doing next on a track, which is the
+ * first quest they haven't completed, if their track level has unlocked it.
+ * @param {String} trackID The ID of the track.
+ * @return {Object} An object with the properties quest (the next quest, or
+ * null if the track is complete) and locked (true if the user has to level up
+ * before they can start it).
+ */
+function getActiveQuest(trackID) {
+    const track = findTrack(trackID);
+    const progress = getTrackProgress(trackID);
+    const quest = track.quests.find(obj => !progress.completedQuests.includes(obj.id)) || null;
+    return {
+        quest: quest,
+        locked: quest !== null && quest.level > getTrackLevel(progress.xp),
+    };
+}
+
+/**
+ * Makes a track the user's active Adventure Track. Progress on the previous
+ * track is kept, in case they come back to it.
+ * @param {String} trackID The ID of the track.
+ */
+function selectTrack(trackID) {
+    if(!findTrack(trackID)) {
+        console.warn(`There is no Adventure Track '${trackID}'.`);
+        return;
+    }
+    questProgress.activeTrack = trackID;
+    saveQuestProgress();
+}
+
+/**
+ * Gives the user XP, which is recorded in the XP ledger and also advances
+ * their active Adventure Track. Tells the user when they or the track level
+ * up.
+ * @param {Number} amount The amount of XP.
+ * @param {String} source What the XP was for, e.g. "task" or "quest".
+ * @param {String} eventID The ID of the event the XP was for, if any.
+ * @return {Number} The amount of levels the user gained.
+ */
+function awardXP(amount, source, eventID = null) {
+    if(amount <= 0) {
+        return 0;
+    }
+    const track = findTrack(questProgress.activeTrack);
+    const progress = getTrackProgress(track.id);
+    const previousTrackLevel = getTrackLevel(progress.xp);
+    progress.xp += amount;
+    const newTrackLevel = getTrackLevel(progress.xp);
+    saveQuestProgress();
+    if(newTrackLevel > previousTrackLevel) {
+        showToast(`${track.name} reached Lv. ${newTrackLevel}! New quests unlocked.`);
+    }
+    const levelsGained = recordXP(amount, source, eventID, track.id);
+    if(levelsGained > 0) {
+        showToast(`Level up! You're now Lv. ${userXP.level}.`);
+    }
+    return levelsGained;
+}
+
+/**
+ * Completes the active quest of the active track and awards its XP.
+ * @return {Object} The properties quest (the completed quest) and
+ * levelsGained (the amount of levels its XP gained), or null if there was no
+ * quest that could be completed.
+ */
+function completeActiveQuest() {
+    const active = getActiveQuest(questProgress.activeTrack);
+    if(!active.quest || active.locked) {
+        return null;
+    }
+    getTrackProgress(questProgress.activeTrack).completedQuests.push(active.quest.id);
+    saveQuestProgress();
+    const levelsGained = awardXP(active.quest.xp, "quest");
+    return {quest: active.quest, levelsGained: levelsGained};
+}
+
+/**
+ * Fills the active quest card with the active track's next quest.
+ * @param {Element} container The active quest card.
+ */
+function renderActiveQuest(container) {
+    const track = findTrack(questProgress.activeTrack);
+    const progress = getTrackProgress(track.id);
+    const level = getTrackLevel(progress.xp);
+    const active = getActiveQuest(track.id);
+    const nameEl = container.querySelector("#active_quest_name");
+    const descriptionEl = container.querySelector("#active_quest_description");
+    const xpEl = container.querySelector("#active_quest_xp");
+    const completeButton = container.querySelector("#active_quest_complete_button");
+
+    container.querySelector("#active_quest_track").textContent = `${track.name} - Lv. ${level}`;
+    if(!active.quest) {
+        nameEl.textContent = "Track complete!";
+        descriptionEl.textContent = `You've completed every quest in ${track.name}. Why not try another track?`;
+        xpEl.textContent = "";
+        completeButton.style.display = "none";
+    } else if(active.locked) {
+        nameEl.textContent = "Locked";
+        descriptionEl.textContent = `Reach Lv. ${active.quest.level} to unlock the next quest. Finish tasks to earn XP.`;
+        xpEl.textContent = `${TRACK_LEVEL_THRESHOLDS[active.quest.level - 1] - progress.xp} XP to go`;
+        completeButton.style.display = "none";
+    } else {
+        nameEl.textContent = active.quest.name;
+        descriptionEl.textContent = active.quest.description;
+        xpEl.textContent = `${active.quest.xp} XP`;
+        completeButton.style.display = "";
+    }
+}
+
+/**
+ * Shows the icon of the active track in the footer.
+ * @param {Element} iconEl The track icon element.
+ */
+function renderTrackIcon(iconEl) {
+    const track = findTrack(questProgress.activeTrack);
+    iconEl.innerHTML = `<i class="fa ${track.icon}"></i>`;
+    iconEl.title = track.name;
+}
+
+/**
+ * Fills the Adventure Track input with every track.
+ * @param {Element} selectEl The select element.
+ */
+function fillTrackInput(selectEl) {
+    selectEl.innerHTML = ``;
+    ADVENTURE_TRACKS.forEach((track) => {
+        const option = document.createElement("option");
+        option.value = track.id;
+        option.textContent = track.name;
+        option.title = track.description;
+        selectEl.appendChild(option);
+    });
+    selectEl.value = questProgress.activeTrack;
+}
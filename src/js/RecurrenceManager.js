@@ -0,0 +1,404 @@
+/*
+                            = RECURRENCE MANAGER =
+    The recurrence manager handles events that repeat. A repeating event is
+    stored once, as a "series" with a recurrence rule, and the occurrences that
+    show up on each day are created from it when a CalendarDay builds its event
+    list. Changes to single occurrences are stored as exceptions on the series,
+    keyed by the date of the occurrence.
+
+    A recurrence rule is an object with the following properties:
+        frequency:   "daily", "weekly", "monthly" or "yearly".
+        interval:    Repeat every N days/weeks/months/years.
+        weekdays:    For weekly rules, an array of weekday indexes (0 = Monday)
+                     the event repeats on.
+        monthlyMode: For monthly rules, "date" to repeat on the same date, or
+                     "weekday" to repeat on the same nth weekday of the month.
+        until:       The last date the series may occur on, in DD-MM-YYYY
+                     format, or null.
+        count:       The maximum amount of occurrences, or null.
+*/
+
+const RECURRENCE_FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+const RECURRENCE_UNITS = {daily: "day", weekly: "week", monthly: "month", yearly: "year"};
+const MILLISECONDS_PER_DAY = 86400000;
+// The furthest ahead a count-limited series is searched for its last date.
+const MAX_RECURRENCE_SEARCH_DAYS = 366 * 100;
+
+// Last occurrence dates of count-limited series, so they don't have to be
+// searched for every time a day is rendered.
+const seriesEndDateCache = {};
+
+/**
+ * Returns the amount of whole days between two dates.
+ * @param {Date} startDate The earlier date.
+ * @param {Date} endDate The later date.
+ * @return {Number} The amount of days. Negative if endDate is before
+ * startDate.
+ */
+function getDaysBetween(startDate, endDate) {
+    // Rounding takes care of days that are an hour short or long because of
+    // daylight saving time.
+    return Math.round((endDate - startDate) / MILLISECONDS_PER_DAY);
+}
+
+/**
+ * Returns the index of a date's weekday, where 0 is Monday and 6 is Sunday.
+ * @param {Date} date The date to get the weekday of.
+ * @return {Number} The weekday index.
+ */
+function getWeekdayIndex(date) {
+    return (date.getDay() + 6) % 7;
+}
+
+/**
+ * Returns which occurrence of its weekday a date is within its month, e.g. 2
+ * for the second Tuesday of the month.
+ * @param {Date} date The date to check.
+ * @return {Number} A number from 1 to 5.
+ */
+function getWeekdayOccurrence(date) {
+    return Math.ceil(date.getDate() / 7);
+}
+
+/**
+ * Checks if a date matches a recurrence rule, without taking the end date or
+ * occurrence count of the rule into account.
+ * @param {Object} recurrence The recurrence rule.
+ * @param {Date} startDate The date of the first occurrence in the series.
+ * @param {Date} date The date to check.
+ * @return {Boolean} True if the rule repeats on the date.
+ */
+function matchesRecurrenceRule(recurrence, startDate, date) {
+    const interval = Math.max(1, parseInt(recurrence.interval) || 1);
+    switch (recurrence.frequency) {
+        case "daily":
+            return getDaysBetween(startDate, date) % interval === 0;
+        case "weekly": {
+            let weekdays = recurrence.weekdays;
+            if(!weekdays || weekdays.length === 0) {
+                weekdays = [getWeekdayIndex(startDate)];
+            }
+            if(!weekdays.includes(getWeekdayIndex(date))) {
+                return false;
+            }
+            const weeks = getDaysBetween(getFirstDayOfWeek(startDate), getFirstDayOfWeek(date)) / 7;
+            return weeks % interval === 0;
+        }
+        case "monthly": {
+            const months = (date.getFullYear() - startDate.getFullYear()) * 12 + (date.getMonth() - startDate.getMonth());
+            if(months % interval !== 0) {
+                return false;
+            }
+            if(recurrence.monthlyMode === "weekday") {
+                return getWeekdayIndex(date) === getWeekdayIndex(startDate) &&
+                    getWeekdayOccurrence(date) === getWeekdayOccurrence(startDate);
+            }
+            return date.getDate() === startDate.getDate();
+        }
+        case "yearly":
+            return (date.getFullYear() - startDate.getFullYear()) % interval === 0 &&
+                date.getMonth() === startDate.getMonth() &&
+                date.getDate() === startDate.getDate();
+        default:
+            return false;
+    }
+}
+
+/**
+ * Finds the date of the last occurrence in a series that is limited by an
+ * occurrence count. Deleted occurrences still count towards the limit.
+ * @param {CalendarEvent} series The repeating event.
+ * @return {Date} The date of the last occurrence.
+ */
+function getSeriesLastDate(series) {
+    const cacheKey = `${series.id}|${series.date}|${JSON.stringify(series.recurrence)}`;
+    if(seriesEndDateCache[cacheKey]) {
+        return seriesEndDateCache[cacheKey];
+    }
+    const startDate = parseDateString(series.date);
+    let lastDate = startDate;
+    let occurrences = 0;
+    for(let i = 0; i < MAX_RECURRENCE_SEARCH_DAYS && occurrences < series.recurrence.count; i++) {
+        const date = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + i);
+        if(matchesRecurrenceRule(series.recurrence, startDate, date)) {
+            lastDate = date;
+            occurrences++;
+        }
+    }
+    seriesEndDateCache[cacheKey] = lastDate;
+    return lastDate;
+}
+
+/**
+ * Returns the date an event ends on.
+ * @param {CalendarEvent} event The event.
+ * @return {String} The end date of multi-day events, or the start date of
+ * any other event, in DD-MM-YYYY format.
+ */
+function getEventEndDate(event) {
+    return event.endDate || event.date;
+}
+
+/**
+ * Returns the amount of days an event lasts after the day it starts.
+ * @param {CalendarEvent} event The event.
+ * @return {Number} 0 for events that start and end on the same day.
+ */
+function getEventSpanDays(event) {
+    if(!event.endDate) {
+        return 0;
+    }
+    return Math.max(0, getDaysBetween(parseDateString(event.date), parseDateString(event.endDate)));
+}
+
+/**
+ * Checks if an event that doesn't repeat covers the specified date, which is
+ * any date from its start date up to and including its end date.
+ * @param {CalendarEvent} event The event.
+ * @param {String} dateString The date to check, in DD-MM-YYYY format.
+ * @return {Boolean} True if the event takes place on the date.
+ */
+function eventCoversDate(event, dateString) {
+    const offset = getDaysBetween(parseDateString(event.date), parseDateString(dateString));
+    return offset >= 0 && offset <= getEventSpanDays(event);
+}
+
+/**
+ * Works out which part of a day an event takes up. All-day events take up
+ * the whole day, and so do the days in the middle of a multi-day event.
+ * @param {CalendarEvent} event The event.
+ * @param {String} dateString The date, in DD-MM-YYYY format, which should be
+ * one of the dates the event covers.
+ * @return {Object} An object with the properties start and end, both in
+ * minutes since midnight.
+ */
+function getEventMinutesOnDate(event, dateString) {
+    if(event.allDay) {
+        return {start: 0, end: MINUTES_PER_DAY};
+    }
+    const dayIndex = getDaysBetween(parseDateString(event.date), parseDateString(dateString));
+    const isFirstDay = dayIndex <= 0;
+    const isLastDay = dayIndex >= getEventSpanDays(event);
+    return {
+        start: isFirstDay ? getMinutesFromTimeString(event.startTime) : 0,
+        end: isLastDay ? getMinutesFromTimeString(event.endTime) : MINUTES_PER_DAY,
+    };
+}
+
+/**
+ * Describes when an event takes place on one of the days it covers, e.g.
+ * "09:00 - 10:00", "All day" or "From 18:00 (day 1 of 3)".
+ * @param {CalendarEvent} event The event.
+ * @param {String} dateString The date, in DD-MM-YYYY format.
+ * @return {String} The description.
+ */
+function describeEventTime(event, dateString) {
+    const spanDays = getEventSpanDays(event);
+    if(spanDays === 0) {
+        return event.allDay ? "All day" : `${event.startTime} - ${event.endTime}`;
+    }
+    const dayIndex = getDaysBetween(parseDateString(event.date), parseDateString(dateString));
+    let time = "All day";
+    if(!event.allDay && dayIndex === 0) {
+        time = `From ${event.startTime}`;
+    } else if(!event.allDay && dayIndex === spanDays) {
+        time = `Until ${event.endTime}`;
+    }
+    return `${time} (day ${dayIndex + 1} of ${spanDays + 1})`;
+}
+
+/**
+ * Checks if an event takes place on the specified date. Events without a
+ * recurrence rule only take place on their own date. For repeating events,
+ * only the date each occurrence starts on counts, see getOccurrencesOnDate.
+ * @param {CalendarEvent} event The event to check.
+ * @param {String} dateString The date to check, in DD-MM-YYYY format.
+ * @return {Boolean} True if the event, or an occurrence of it, takes place on
+ * the date. Occurrences that have been deleted are still included.
+ */
+function occursOnDate(event, dateString) {
+    const recurrence = event.recurrence;
+    if(!recurrence) {
+        return event.date.toString().trim() === dateString.toString().trim();
+    }
+    const startDate = parseDateString(event.date);
+    const date = parseDateString(dateString);
+    if(date < startDate) {
+        return false;
+    }
+    if(recurrence.until && date > parseDateString(recurrence.until)) {
+        return false;
+    }
+    if(!matchesRecurrenceRule(recurrence, startDate, date)) {
+        return false;
+    }
+    if(recurrence.count && date > getSeriesLastDate(event)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Creates the occurrence of a series that takes place on the specified date,
+ * with any changes made to that single occurrence applied.
+ * @param {CalendarEvent} series The repeating event.
+ * @param {String} dateString The date of the occurrence, in DD-MM-YYYY format.
+ * @return {CalendarEvent} A new CalendarEvent representing the occurrence.
+ */
+function createOccurrence(series, dateString) {
+    const exception = series.exceptions[dateString] || {};
+    const occurrenceData = Object.assign({}, series, {
+        id: `${series.id}_${dateString}`,
+        date: dateString,
+        endDate: series.endDate ? addDaysToDateString(dateString, getEventSpanDays(series)) : null,
+        finished: false,
+        recurrence: null,
+        exceptions: {},
+        seriesID: series.id,
+        occurrenceDate: dateString,
+    }, exception);
+    return new CalendarEvent(occurrenceData);
+}
+
+/**
+ * Creates the occurrences of a series that have exceptions, e.g. because
+ * they were finished or moved. Deleted occurrences are left out.
+ * @param {CalendarEvent} series The repeating event, or a plain copy of it.
+ * @return {Array} An array of CalendarEvents, one for each occurrence.
+ */
+function getExceptionOccurrences(series) {
+    return Object.keys(series.exceptions || {}).filter((dateString) => {
+        return series.exceptions[dateString].deleted !== true;
+    }).map(dateString => createOccurrence(series, dateString));
+}
+
+/**
+ * Creates all occurrences of repeating events that take place on the
+ * specified date, including occurrences of multi-day events that started on
+ * an earlier date. Deleted occurrences are left out.
+ * @param {Array} eventList The list of events to search for repeating events.
+ * @param {String} dateString The date to get occurrences for, in DD-MM-YYYY
+ * format.
+ * @return {Array} An array of CalendarEvents, one for each occurrence.
+ */
+function getOccurrencesOnDate(eventList, dateString) {
+    const occurrences = [];
+    eventList.forEach((obj) => {
+        if(!obj.recurrence) {
+            return;
+        }
+        for(let offset = 0; offset <= getEventSpanDays(obj); offset++) {
+            const startDateString = addDaysToDateString(dateString, -offset);
+            const exception = obj.exceptions[startDateString];
+            if(occursOnDate(obj, startDateString) && !(exception && exception.deleted)) {
+                occurrences.push(createOccurrence(obj, startDateString));
+            }
+        }
+    });
+    return occurrences;
+}
+
+/**
+ * Finds the series that an occurrence was created from.
+ * @param {CalendarEvent} occurrence The occurrence.
+ * @param {Array} eventList The list of events containing the series.
+ * @return {CalendarEvent} The series, or undefined if it's not in the list.
+ */
+function findSeries(occurrence, eventList) {
+    return eventList.find((obj) => {
+        return obj.id === occurrence.seriesID;
+    });
+}
+
+/**
+ * Changes a single occurrence of a series, without affecting the others. The
+ * changes are saved as an exception on the series, and applied to the
+ * occurrence object as well.
+ * @param {CalendarEvent} occurrence The occurrence to change.
+ * @param {Object} changes The properties to change, e.g. {finished: true}.
+ * Setting deleted to true removes the occurrence from the series.
+ * @param {Array} eventList The list of events containing the series.
+ */
+function setOccurrenceException(occurrence, changes, eventList) {
+    const series = findSeries(occurrence, eventList);
+    if(!series) {
+        console.warn(`No series was found for occurrence ${occurrence.id}.`);
+        return;
+    }
+    series.exceptions[occurrence.occurrenceDate] = Object.assign({}, series.exceptions[occurrence.occurrenceDate], changes);
+    Object.assign(occurrence, changes);
+}
+
+/**
+ * Ends a series on the date of the specified occurrence, so that no more
+ * occurrences take place after it.
+ * @param {CalendarEvent} occurrence The last occurrence to keep.
+ * @param {Array} eventList The list of events containing the series.
+ */
+function endSeriesAt(occurrence, eventList) {
+    const series = findSeries(occurrence, eventList);
+    if(!series) {
+        console.warn(`No series was found for occurrence ${occurrence.id}.`);
+        return;
+    }
+    series.recurrence = Object.assign({}, series.recurrence, {until: occurrence.occurrenceDate});
+}
+
+/**
+ * Moves the exceptions of a series by a number of days, so they stay with
+ * their occurrences when the whole series is moved.
+ * @param {CalendarEvent} series The repeating event.
+ * @param {Number} dayOffset The number of days to move them by, which is
+ * negative for earlier days.
+ */
+function shiftSeriesExceptions(series, dayOffset) {
+    if(dayOffset === 0) {
+        return;
+    }
+    const exceptions = {};
+    Object.keys(series.exceptions).forEach((dateString) => {
+        const exception = Object.assign({}, series.exceptions[dateString]);
+        ["date", "endDate"].forEach((key) => {
+            if(exception[key]) {
+                exception[key] = addDaysToDateString(exception[key], dayOffset);
+            }
+        });
+        exceptions[addDaysToDateString(dateString, dayOffset)] = exception;
+    });
+    series.exceptions = exceptions;
+}
+
+/**
+ * Returns a short human readable description of a recurrence rule, such as
+ * "Every 2 weeks on Mon, Wed, until 01-06-2021".
+ * @param {Object} recurrence The recurrence rule.
+ * @param {String} startDateString The date of the series' first occurrence,
+ * in DD-MM-YYYY format.
+ * @return {String} The description.
+ */
+function describeRecurrence(recurrence, startDateString) {
+    const interval = Math.max(1, parseInt(recurrence.interval) || 1);
+    const unit = RECURRENCE_UNITS[recurrence.frequency];
+    let description = (interval > 1) ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+
+    const startDate = parseDateString(startDateString);
+    if(recurrence.frequency === "weekly") {
+        let weekdays = recurrence.weekdays;
+        if(!weekdays || weekdays.length === 0) {
+            weekdays = [getWeekdayIndex(startDate)];
+        }
+        description += ` on ${weekdays.map(index => WEEKDAY_SHORT_NAMES[index]).join(", ")}`;
+    } else if(recurrence.frequency === "monthly" && recurrence.monthlyMode === "weekday") {
+        const ordinals = ["first", "second", "third", "fourth", "fifth"];
+        const weekday = WEEKDAY_SHORT_NAMES[getWeekdayIndex(startDate)];
+        description += ` on the ${ordinals[getWeekdayOccurrence(startDate) - 1]} ${weekday}`;
+    }
+
+    if(recurrence.until) {
+        description += `, until ${recurrence.until}`;
+    }
+    if(recurrence.count) {
+        description += `, ${recurrence.count} times`;
+    }
+    return description;
+}
@@ -0,0 +1,205 @@
+/*
+                              = REMINDER MANAGER =
+    The reminder manager checks regularly if any event is about to start, and
+    reminds the user of it. Every event can have several reminders, each set
+    to go off a number of minutes before the event starts. Reminders are shown
+    as browser notifications when the user allows them, and as a message in
+    the app otherwise. The message in the app can be snoozed.
+*/
+
+const REMINDER_CHECK_INTERVAL = 15000;
+// Reminders that went off longer ago than this, e.g. while the app was closed,
+// are skipped rather than all shown at once.
+const MAX_REMINDER_DELAY = 10 * 60000;
+const SNOOZE_MINUTES = 10;
+// Fired reminders are forgotten after this long, which needs to be longer
+// than the largest reminder offset the editor allows (one day).
+const FIRED_REMINDER_LIFETIME = 2 * MILLISECONDS_PER_DAY;
+
+// The time each reminder went off, by its key, so none of them go off twice
+var firedReminders = loadLocalSetting("firedReminders", {});
+// Reminders that have been snoozed, with the time they should go off again
+var snoozedReminders = loadLocalSetting("snoozedReminders", []);
+var reminderInterval = null;
+
+/**
+ * Starts checking for reminders every REMINDER_CHECK_INTERVAL milliseconds.
+ * Reminders are looked for in globalEventList.
+ */
+function startReminderScheduler() {
+    if(reminderInterval !== null) {
+        return;
+    }
+    checkReminders(globalEventList);
+    reminderInterval = setInterval(() => {
+        checkReminders(globalEventList);
+    }, REMINDER_CHECK_INTERVAL);
+}
+
+/**
+ * Asks the user for permission to show browser notifications, if they
+ * haven't been asked before. Has to be called from a click or other user
+ * action, or the browser will ignore it.
+ * @return {Promise} A promise that resolves to the permission, which is
+ * "unsupported" if the browser has no notifications.
+ */
+function requestNotificationPermission() {
+    if(!("Notification" in window)) {
+        return Promise.resolve("unsupported");
+    }
+    if(Notification.permission !== "default") {
+        return Promise.resolve(Notification.permission);
+    }
+    return Notification.requestPermission();
+}
+
+/**
+ * Describes how long before an event a reminder goes off.
+ * @param {Number} offset The offset in minutes.
+ * @return {String} The description, e.g. "in 15 min" or "now".
+ */
+function describeReminderOffset(offset) {
+    if(offset === 0) {
+        return "now";
+    } else if(offset % 1440 === 0) {
+        return (offset === 1440) ? "tomorrow" : `in ${offset / 1440} days`;
+    } else if(offset % 60 === 0) {
+        return (offset === 60) ? "in 1 hour" : `in ${offset / 60} hours`;
+    }
+    return `in ${offset} min`;
+}
+
+/**
+ * Creates the reminders of every event that starts on the specified date.
+ * Finished events and events on hidden boards don't get reminders.
+ * @param {Array} eventList The list of events, including repeating events.
+ * @param {String} dateString The date, in DD-MM-YYYY format.
+ * @return {Array} The reminders, as objects with the properties key (unique
+ * for each reminder of each occurrence), eventID, name, date, startTime,
+ * offset and due (the time in milliseconds the reminder should go off).
+ */
+function getRemindersOnDate(eventList, dateString) {
+    const events = eventList.filter((obj) => {
+        return !obj.recurrence && obj.date === dateString;
+    }).concat(getOccurrencesOnDate(eventList, dateString).filter((obj) => {
+        // Occurrences of multi-day events only remind on the day they start
+        return obj.date === dateString;
+    }));
+    const startOfDay = parseDateString(dateString).getTime();
+    const reminders = [];
+    events.forEach((obj) => {
+        if(obj.finished || !isBoardVisible(getEventBoard(obj))) {
+            return;
+        }
+        const startTime = obj.allDay ? "00:00" : obj.startTime;
+        (obj.reminders || []).forEach((offset) => {
+            reminders.push({
+                key: `${obj.id}_${dateString}_${offset}`,
+                eventID: obj.id,
+                name: obj.name,
+                date: dateString,
+                startTime: startTime,
+                offset: offset,
+                due: startOfDay + (getMinutesFromTimeString(startTime) - offset) * 60000,
+            });
+        });
+    });
+    return reminders;
+}
+
+/**
+ * Shows every reminder that is due and hasn't been shown yet, including
+ * snoozed reminders.
+ * @param {Array} eventList The list of events, including repeating events.
+ * @param {Date} now The current time. Only meant to be set when testing.
+ * @return {Array} The reminders that were shown.
+ */
+function checkReminders(eventList, now = new Date()) {
+    const time = now.getTime();
+    // Reminders go off at most a day before the event, so the events of today
+    // and tomorrow are the only ones that can be due.
+    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    const dueReminders = getRemindersOnDate(eventList, getDateStringFromDate(now))
+        .concat(getRemindersOnDate(eventList, getDateStringFromDate(tomorrow)))
+        .filter((reminder) => {
+            return !firedReminders[reminder.key] && reminder.due <= time && time - reminder.due <= MAX_REMINDER_DELAY;
+        });
+    dueReminders.forEach((reminder) => {
+        firedReminders[reminder.key] = reminder.due;
+    });
+    const dueSnoozes = snoozedReminders.filter(reminder => reminder.due <= time);
+    snoozedReminders = snoozedReminders.filter(reminder => reminder.due > time);
+
+    Object.keys(firedReminders).forEach((key) => {
+        if(time - firedReminders[key] > FIRED_REMINDER_LIFETIME) {
+            delete firedReminders[key];
+        }
+    });
+    saveLocalSetting("firedReminders", firedReminders);
+    saveLocalSetting("snoozedReminders", snoozedReminders);
+
+    const shownReminders = dueReminders.concat(dueSnoozes);
+    shownReminders.forEach(showReminder);
+    return shownReminders;
+}
+
+/**
+ * Shows a reminder as a browser notification if the user allows them, or as
+ * a message in the app if they don't. Notifications can't have buttons
+ * without a service worker, so clicking one brings up the message in the app,
+ * where the reminder can be snoozed.
+ * @param {Object} reminder The reminder, as returned by getRemindersOnDate.
+ */
+function showReminder(reminder) {
+    if("Notification" in window && Notification.permission === "granted") {
+        try {
+            const notification = new Notification(reminder.name, {
+                body: `Starts ${describeReminderOffset(reminder.offset)} (${reminder.startTime}, ${reminder.date})`,
+                tag: reminder.key,
+            });
+            notification.addEventListener("click", () => {
+                window.focus();
+                notification.close();
+                showReminderToast(reminder);
+            });
+            return;
+        } catch(err) {
+            // Some browsers only allow notifications from a service worker
+            console.warn(`Could not show a notification: ${err}`);
+        }
+    }
+    showReminderToast(reminder);
+}
+
+/**
+ * Shows a reminder as a message in the app, with buttons to snooze or
+ * dismiss it.
+ * @param {Object} reminder The reminder, as returned by getRemindersOnDate.
+ * @return {Element} The message element.
+ */
+function showReminderToast(reminder) {
+    return showToast(`${reminder.name} starts ${describeReminderOffset(reminder.offset)} (${reminder.startTime})`, {
+        type: "reminder",
+        duration: 60000,
+        actions: [
+            {label: `Snooze ${SNOOZE_MINUTES} min`, onClick: () => snoozeReminder(reminder)},
+            {label: "Dismiss", onClick: () => {}},
+        ],
+    });
+}
+
+/**
+ * Makes a reminder go off again later.
+ * @param {Object} reminder The reminder, as returned by getRemindersOnDate.
+ * @param {Number} minutes The amount of minutes to snooze it for.
+ */
+function snoozeReminder(reminder, minutes = SNOOZE_MINUTES) {
+    const startsAt = reminder.due + reminder.offset * 60000;
+    const due = Date.now() + minutes * 60000;
+    // The offset is changed too, so the reminder says how long is really left
+    snoozedReminders.push(Object.assign({}, reminder, {
+        due: due,
+        offset: Math.max(0, Math.round((startsAt - due) / 60000)),
+    }));
+    saveLocalSetting("snoozedReminders", snoozedReminders);
+}
@@ -0,0 +1,152 @@
+/*
+                              = SCORING MANAGER =
+    The scoring manager decides how much XP things are worth. Every place that
+    works out XP should go through here, so the rules only live in one place.
+    The rules themselves come from the server when it can be reached, and the
+    defaults below are only used until then.
+*/
+
+// difficultyXP is the base XP of a task for each difficulty. Tasks finished
+// on an earlier day than planned get earlyBonus times their base XP on top.
+// Each day of an ongoing streak adds streakBonusPerDay to the multiplier, up
+// to maxStreakMultiplier. Tasks finished late lose overduePenaltyPerDay of
+// their XP for each day, but never go below minOverdueMultiplier. Tasks
+// carried over from the backlog lose XP for those days too, at the rate the
+// user set, see BacklogManager.js.
+const DEFAULT_SCORING_RULES = {
+    difficultyXP: {1: 150, 2: 400, 3: 750},
+    earlyBonus: 0.1,
+    streakBonusPerDay: 0.05,
+    maxStreakMultiplier: 1.5,
+    overduePenaltyPerDay: 0.1,
+    minOverdueMultiplier: 0.5,
+};
+
+var scoringRules = Object.assign({}, DEFAULT_SCORING_RULES, loadLocalSetting("scoringRules", {}));
+
+/**
+ * Fetches the scoring rules from the server, and keeps a copy so they're
+ * available offline. Rules the server leaves out keep their defaults.
+ * @return {Promise} A promise that resolves to the rules in use.
+ */
+function loadScoringRules() {
+    return apiFetch("/rules", {method: "GET"})
+        .then(response => {
+            return response.json()
+                .catch(() => ({}))
+                .then(json => {
+                    if(!response.ok) {
+                        throw createApiError(response.status, json);
+                    }
+                    scoringRules = Object.assign({}, DEFAULT_SCORING_RULES, json.rules);
+                    saveLocalSetting("scoringRules", json.rules || {});
+                    return scoringRules;
+                });
+        })
+        .catch(err => {
+            console.warn(`Could not load the scoring rules, using the last known ones: ${err}`);
+            return scoringRules;
+        });
+}
+
+/**
+ * Checks if a difficulty is one the scoring rules know about.
+ * @param {Number|String} difficulty The difficulty, as a number or as the
+ * string value of an input.
+ * @return {Boolean} True if the difficulty is valid.
+ */
+function isValidDifficulty(difficulty) {
+    return scoringRules.difficultyXP[parseInt(difficulty)] !== undefined;
+}
+
+/**
+ * Returns the base XP of a task with the specified difficulty.
+ * @param {Number|String} difficulty The difficulty, as a number or as the
+ * string value of an input.
+ * @return {Number} The XP, or 0 if the difficulty is invalid.
+ */
+function getDifficultyXP(difficulty) {
+    return scoringRules.difficultyXP[parseInt(difficulty)] || 0;
+}
+
+/**
+ * Works out how much XP finishing a task is worth, with every bonus and
+ * penalty that applies.
+ * @param {CalendarEvent} event The task.
+ * @param {Object} context Optional information about the completion.
+ * finishedAt is the Date it was finished (now by default), streak is the
+ * user's current streak in days (0 by default) and carryOverDecay is the
+ * share of XP lost for each day the task was carried over (0 by default).
+ * @return {Object} An object with the properties total (the XP to award),
+ * base (the XP before bonuses) and reasons (an array of short descriptions of
+ * the bonuses and penalties that applied).
+ */
+function calculateTaskXP(event, context = {}) {
+    const base = getDifficultyXP(event.difficulty);
+    const finishedAt = context.finishedAt || new Date();
+    const finishedDay = new Date(finishedAt.getFullYear(), finishedAt.getMonth(), finishedAt.getDate());
+    const daysLate = getDaysBetween(parseDateString(event.date), finishedDay);
+    const reasons = [];
+    let multiplier = 1;
+
+    const carriedOverDays = event.carriedOverDays || 0;
+    if(daysLate < 0 && carriedOverDays === 0 && scoringRules.earlyBonus > 0) {
+        multiplier += scoringRules.earlyBonus;
+        reasons.push("finished early");
+    } else {
+        let penalty = 0;
+        if(daysLate > 0 && scoringRules.overduePenaltyPerDay > 0) {
+            penalty += daysLate * scoringRules.overduePenaltyPerDay;
+            reasons.push(`${daysLate} ${daysLate === 1 ? "day" : "days"} late`);
+        }
+        if(carriedOverDays > 0 && context.carryOverDecay > 0) {
+            penalty += carriedOverDays * context.carryOverDecay;
+            reasons.push(`carried over ${carriedOverDays} ${carriedOverDays === 1 ? "day" : "days"}`);
+        }
+        if(penalty > 0) {
+            multiplier *= Math.max(scoringRules.minOverdueMultiplier, 1 - penalty);
+        }
+    }
+    const streak = context.streak || 0;
+    if(streak > 0 && scoringRules.streakBonusPerDay > 0) {
+        const streakMultiplier = Math.min(scoringRules.maxStreakMultiplier, 1 + streak * scoringRules.streakBonusPerDay);
+        multiplier *= streakMultiplier;
+        reasons.push(`${streak} day streak x${streakMultiplier.toFixed(2)}`);
+    }
+    return {total: Math.round(base * multiplier), base: base, reasons: reasons};
+}
+
+/**
+ * Works out the share of a task's XP that ticking off items of its checklist
+ * is worth. The shares add up to exactly the task's XP once every item is
+ * done.
+ * @param {Number} total The XP of the whole task, from calculateTaskXP.
+ * @param {Number} itemCount The amount of items on the checklist.
+ * @param {Number} doneBefore The amount of items that were already done.
+ * @param {Number} doneAfter The amount of items done once these are.
+ * @return {Number} The XP to award.
+ */
+function calculateChecklistXP(total, itemCount, doneBefore, doneAfter) {
+    return Math.round(total * doneAfter / itemCount) - Math.round(total * doneBefore / itemCount);
+}
+
+/**
+ * Works out how much XP an event has earned so far, going by its difficulty.
+ * Finished tasks have earned all of it, and unfinished tasks the share of the
+ * items on their checklist that are done. Events and reminders aren't worth
+ * any XP.
+ * @param {CalendarEvent} event The event.
+ * @return {Number} The XP earned.
+ */
+function calculateEarnedXP(event) {
+    if(event.type === "event" || event.type === "reminder") {
+        return 0;
+    }
+    const XP = getDifficultyXP(event.difficulty);
+    if(event.finished === true) {
+        return XP;
+    } else if(event.checklist.length > 0) {
+        return calculateChecklistXP(XP, event.checklist.length, 0, event.checklist.filter(item => item.done).length);
+    }
+    return 0;
+}
@@ -0,0 +1,293 @@
+/*
+                               = SEARCH MANAGER =
+    The search manager finds events by the text in their name or description,
+    their type, difficulty, whether they're finished and the dates they take
+    place on. Events in globalEventList are searched right away, and the
+    server is then asked for older events that aren't loaded. The events found
+    are listed in the search panel and highlighted in the month grid.
+*/
+
+// Repeating events go on forever, so without a date range only their
+// occurrences this many days before and after today are searched. Longer date
+// ranges are cut off at twice this many days.
+const SEARCH_RECURRENCE_WINDOW_DAYS = 365;
+const MAX_SEARCH_RESULTS = 200;
+
+// The results of the search shown in the search panel, or null if there is
+// no search. Each result is a CalendarEvent, with the property archived set
+// on events that only the server knows about.
+var activeSearchResults = null;
+
+/**
+ * Reads the inputs of the search panel.
+ * @return {Object} The search, with the properties text (in lower case), type
+ * and finished ("" for any), difficulty (NaN for any), and from and to (dates
+ * in DD-MM-YYYY format, or null).
+ */
+function readSearchInput() {
+    return {
+        text: document.querySelector("#search_input_text").value.trim().toLowerCase(),
+        type: document.querySelector("#search_input_type").value,
+        difficulty: parseInt(document.querySelector("#search_input_difficulty").value),
+        finished: document.querySelector("#search_input_finished").value,
+        from: getDateStringFromInputValue(document.querySelector("#search_input_from").value),
+        to: getDateStringFromInputValue(document.querySelector("#search_input_to").value),
+    };
+}
+
+/**
+ * Checks if a search has anything to search for.
+ * @param {Object} query The search, as returned by readSearchInput.
+ * @return {Boolean} True if at least one of the inputs was filled in.
+ */
+function isSearchEmpty(query) {
+    return query.text === "" && query.type === "" && isNaN(query.difficulty) &&
+        query.finished === "" && !query.from && !query.to;
+}
+
+/**
+ * Checks if an event matches everything in a search except the dates.
+ * @param {CalendarEvent} event The event. For repeating events, this should be
+ * an occurrence.
+ * @param {Object} query The search, as returned by readSearchInput.
+ * @return {Boolean} True if the event matches.
+ */
+function eventMatchesSearch(event, query) {
+    if(query.text !== "") {
+        const text = `${event.name || ""}\n${event.description || ""}`.toLowerCase();
+        if(!text.includes(query.text)) {
+            return false;
+        }
+    }
+    if(query.type !== "" && event.type !== query.type) {
+        return false;
+    }
+    if(!isNaN(query.difficulty) && parseInt(event.difficulty) !== query.difficulty) {
+        return false;
+    }
+    if(query.finished !== "" && (event.finished === true) !== (query.finished === "finished")) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Checks if an event takes place on any day of a search's date range.
+ * @param {CalendarEvent} event The event.
+ * @param {Object} query The search, as returned by readSearchInput.
+ * @return {Boolean} True if the event is in the range, or if the search has
+ * no range.
+ */
+function isEventInSearchRange(event, query) {
+    if(query.from && getDaysBetween(parseDateString(query.from), parseDateString(getEventEndDate(event))) < 0) {
+        return false;
+    }
+    if(query.to && getDaysBetween(parseDateString(event.date), parseDateString(query.to)) < 0) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Searches a list of events. Repeating events are searched occurrence by
+ * occurrence, within the dates returned by getRecurrenceSearchRange.
+ * @param {Array} eventList The list of events, including repeating events.
+ * Events on hidden boards are left out.
+ * @param {Object} query The search, as returned by readSearchInput.
+ * @return {Array} The matching events and occurrences, in the order they take
+ * place, and at most MAX_SEARCH_RESULTS of them.
+ */
+function searchEvents(eventList, query) {
+    const visibleEvents = eventList.filter(obj => isBoardVisible(getEventBoard(obj)));
+    let results = visibleEvents.filter((obj) => {
+        return !obj.recurrence && isEventInSearchRange(obj, query) && eventMatchesSearch(obj, query);
+    });
+
+    const series = visibleEvents.filter(obj => obj.recurrence);
+    if(series.length > 0) {
+        const range = getRecurrenceSearchRange(series, query);
+        let dateString = range.from;
+        const lastDateString = range.to;
+        while(getDaysBetween(parseDateString(dateString), parseDateString(lastDateString)) >= 0) {
+            series.forEach((obj) => {
+                const exception = obj.exceptions[dateString];
+                if(!occursOnDate(obj, dateString) || (exception && exception.deleted)) {
+                    return;
+                }
+                const occurrence = createOccurrence(obj, dateString);
+                if(eventMatchesSearch(occurrence, query)) {
+                    results.push(occurrence);
+                }
+            });
+            dateString = addDaysToDateString(dateString, 1);
+        }
+    }
+    return sortSearchResults(results).slice(0, MAX_SEARCH_RESULTS);
+}
+
+/**
+ * Works out which dates to search the occurrences of repeating events on.
+ * Without a date range that's SEARCH_RECURRENCE_WINDOW_DAYS on each side of
+ * today. A date range starts no earlier than the first series does, and is
+ * cut off at twice SEARCH_RECURRENCE_WINDOW_DAYS, so a range over thousands
+ * of years doesn't freeze the page.
+ * @param {Array} series The repeating events to search.
+ * @param {Object} query The search, as returned by readSearchInput.
+ * @return {Object} The first and last date to search, as the properties from
+ * and to (DD-MM-YYYY).
+ */
+function getRecurrenceSearchRange(series, query) {
+    const today = getDateStringFromDate(new Date());
+    let from = query.from || addDaysToDateString(today, -SEARCH_RECURRENCE_WINDOW_DAYS);
+    let to = query.to || addDaysToDateString(today, SEARCH_RECURRENCE_WINDOW_DAYS);
+    if(query.from) {
+        const firstSeries = series.reduce((first, obj) => {
+            return getDaysBetween(parseDateString(obj.date), parseDateString(first.date)) > 0 ? obj : first;
+        });
+        if(getDaysBetween(parseDateString(from), parseDateString(firstSeries.date)) > 0) {
+            from = firstSeries.date;
+        }
+    }
+    const lastDateString = addDaysToDateString(from, 2 * SEARCH_RECURRENCE_WINDOW_DAYS);
+    if(getDaysBetween(parseDateString(lastDateString), parseDateString(to)) > 0) {
+        to = lastDateString;
+    }
+    return {from: from, to: to};
+}
+
+/**
+ * Sorts events by the date and time they start.
+ * @param {Array} results The events.
+ * @return {Array} The same array, sorted.
+ */
+function sortSearchResults(results) {
+    return results.sort((a, b) => {
+        const dayDifference = getDaysBetween(parseDateString(b.date), parseDateString(a.date));
+        if(dayDifference !== 0) {
+            return dayDifference;
+        }
+        const timeA = a.allDay ? 0 : getMinutesFromTimeString(a.startTime);
+        const timeB = b.allDay ? 0 : getMinutesFromTimeString(b.startTime);
+        return timeA - timeB;
+    });
+}
+
+/**
+ * Asks the server for events matching a search, including events that
+ * aren't loaded, e.g. because the server has archived them.
+ * @param {Object} query The search, as returned by readSearchInput.
+ * @return {Promise} A promise that resolves to an array of CalendarEvents.
+ * It resolves to an empty array if the server can't search, and rejects if
+ * it can't be reached.
+ */
+function searchServerEvents(query) {
+    const params = [];
+    if(query.text !== "") {
+        params.push(`q=${encodeURIComponent(query.text)}`);
+    }
+    if(query.type !== "") {
+        params.push(`type=${encodeURIComponent(query.type)}`);
+    }
+    if(!isNaN(query.difficulty)) {
+        params.push(`difficulty=${query.difficulty}`);
+    }
+    if(query.finished !== "") {
+        params.push(`finished=${query.finished === "finished"}`);
+    }
+    if(query.from) {
+        params.push(`from=${query.from}`);
+    }
+    if(query.to) {
+        params.push(`to=${query.to}`);
+    }
+    return apiFetch(`/search?${params.join("&")}`, {method: "GET"})
+        .then(response => {
+            return response.json()
+                .catch(() => ({}))
+                .then(json => {
+                    // Older servers have no search endpoint
+                    if(response.status === 404 || response.status === 501) {
+                        return [];
+                    }
+                    if(!response.ok) {
+                        throw createApiError(response.status, json);
+                    }
+                    return (json.events || []).map(obj => new CalendarEvent(obj));
+                });
+        });
+}
+
+/**
+ * Adds the events the server found to the results of a search, leaving out
+ * the ones that are already loaded, and any the server included by mistake.
+ * @param {Array} results The results of searchEvents.
+ * @param {Array} serverEvents The events from searchServerEvents.
+ * @param {Object} query The search, as returned by readSearchInput.
+ * @return {Array} The combined results, in the order they take place.
+ */
+function mergeServerSearchResults(results, serverEvents, query) {
+    const archivedEvents = serverEvents.filter((obj) => {
+        return !obj.recurrence && !globalEventList.some(loaded => loaded.id === obj.id) &&
+            isEventInSearchRange(obj, query) && eventMatchesSearch(obj, query);
+    });
+    archivedEvents.forEach((obj) => {
+        obj.archived = true;
+    });
+    return sortSearchResults(results.concat(archivedEvents)).slice(0, MAX_SEARCH_RESULTS);
+}
+
+/**
+ * Lists the results of a search in the search panel. Each result has the date
+ * it takes place on in data-date, so it can open that day.
+ * @param {Element} container The element to list the results in.
+ * @param {Element} statusEl The element that tells how many were found.
+ * @param {Array} results The results, or null if there is no search.
+ */
+function renderSearchResults(container, statusEl, results) {
+    container.innerHTML = ``;
+    if(results === null) {
+        statusEl.textContent = "";
+        return;
+    }
+    if(results.length === 0) {
+        statusEl.textContent = "Nothing was found.";
+    } else if(results.length >= MAX_SEARCH_RESULTS) {
+        statusEl.textContent = `Showing the first ${MAX_SEARCH_RESULTS} events found.`;
+    } else {
+        statusEl.textContent = `${results.length} ${results.length === 1 ? "event" : "events"} found.`;
+    }
+    results.forEach((obj) => {
+        const item = buildElement("li", {
+            classes: ["search_result", `event_type_${obj.type}`],
+            dataset: {date: obj.date},
+            title: obj.archived ? "Not loaded in the calendar" : "Open this day",
+            children: [
+                buildElement("h3", {classes: ["search_result_name"], text: obj.name}),
+                buildElement("p", {
+                    classes: ["search_result_time"],
+                    text: `${obj.date}, ${describeEventTime(obj, obj.date)}${obj.finished === true ? ", done" : ""}${obj.archived ? ", archived" : ""}`,
+                }),
+            ],
+        });
+        if(obj.finished === true) {
+            item.classList.add("search_result_finished");
+        }
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Highlights the event previews in a calendar grid that match the active
+ * search, and fades out the rest.
+ * @param {Element} container The element containing the day divs.
+ */
+function markSearchMatches(container) {
+    container.classList.toggle("searching", activeSearchResults !== null);
+    if(activeSearchResults === null) {
+        return;
+    }
+    const matchingIDs = activeSearchResults.map(obj => `event_${obj.id}`);
+    container.querySelectorAll(".event_preview").forEach((preview) => {
+        preview.classList.toggle("search_match", matchingIDs.includes(preview.id));
+    });
+}
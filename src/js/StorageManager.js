@@ -0,0 +1,211 @@
+/*
+                             = STORAGE MANAGER =
+    The storage manager handles everything that is saved locally in the
+    browser, such as settings that should be remembered between visits, and
+    the local copy of the event list that the calendar loads from first.
+*/
+
+const LOCAL_STORAGE_PREFIX = "dayblazer_";
+
+/**
+ * Reads a locally stored setting. Values are stored as JSON, so anything that
+ * was saved with saveLocalSetting comes back with the same type.
+ * @param {String} key The name of the setting.
+ * @param {*} fallback The value to return if the setting has not been saved
+ * yet, or if it can't be read.
+ * @return {*} The stored value, or the fallback value.
+ */
+function loadLocalSetting(key, fallback = null) {
+    try {
+        const storedValue = localStorage.getItem(LOCAL_STORAGE_PREFIX + key);
+        if(storedValue === null) {
+            return fallback;
+        }
+        return JSON.parse(storedValue);
+    } catch (err) {
+        console.warn(`Could not read local setting '${key}': ${err}`);
+        return fallback;
+    }
+}
+
+/**
+ * Saves a setting locally so that it is remembered between visits.
+ * @param {String} key The name of the setting.
+ * @param {*} value Any value that can be converted to JSON.
+ */
+function saveLocalSetting(key, value) {
+    try {
+        localStorage.setItem(LOCAL_STORAGE_PREFIX + key, JSON.stringify(value));
+    } catch (err) {
+        console.warn(`Could not save local setting '${key}': ${err}`);
+    }
+}
+
+// == INDEXEDDB ==
+// Events and changes that haven't reached the server yet are kept in
+// IndexedDB, so the calendar works without a connection to the server.
+const DATABASE_NAME = "dayblazer";
+const DATABASE_VERSION = 1;
+const EVENT_STORE = "events";
+const SYNC_QUEUE_STORE = "syncQueue";
+let eventDatabasePromise = null;
+
+/**
+ * Opens the local database, creating its object stores the first time. The
+ * connection is reused for later calls.
+ * @return {Promise} A promise that resolves to the IDBDatabase, or rejects if
+ * IndexedDB is unavailable.
+ */
+function openEventDatabase() {
+    if(eventDatabasePromise) {
+        return eventDatabasePromise;
+    }
+    eventDatabasePromise = new Promise((resolve, reject) => {
+        if(!window.indexedDB) {
+            reject(new Error("IndexedDB is not supported by this browser."));
+            return;
+        }
+        const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            if(!database.objectStoreNames.contains(EVENT_STORE)) {
+                database.createObjectStore(EVENT_STORE, {keyPath: "id"});
+            }
+            if(!database.objectStoreNames.contains(SYNC_QUEUE_STORE)) {
+                database.createObjectStore(SYNC_QUEUE_STORE, {keyPath: "queueID", autoIncrement: true});
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    // Allow trying again later if opening failed
+    eventDatabasePromise.catch(() => {
+        eventDatabasePromise = null;
+    });
+    return eventDatabasePromise;
+}
+
+/**
+ * Runs an action against one of the local database's object stores in a
+ * single transaction.
+ * @param {String} storeName The name of the object store.
+ * @param {String} mode "readonly" or "readwrite".
+ * @param {Function} action A function that receives the IDBObjectStore and
+ * may return an IDBRequest.
+ * @return {Promise} A promise that resolves to the result of the returned
+ * request when the transaction completes.
+ */
+function runStoreTransaction(storeName, mode, action) {
+    return openEventDatabase().then((database) => {
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeName, mode);
+            const request = action(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    });
+}
+
+/**
+ * Reads all events saved in the local database.
+ * @return {Promise} A promise that resolves to an array of plain event
+ * objects.
+ */
+function loadStoredEvents() {
+    return runStoreTransaction(EVENT_STORE, "readonly", (store) => {
+        return store.getAll();
+    });
+}
+
+/**
+ * Replaces the events saved in the local database with the specified list.
+ * @param {Array} eventList The events to save.
+ * @return {Promise} A promise that resolves when the events are saved.
+ */
+function saveStoredEvents(eventList) {
+    // Converting to JSON strips anything that can't or shouldn't be stored
+    const plainEvents = JSON.parse(JSON.stringify(eventList));
+    return runStoreTransaction(EVENT_STORE, "readwrite", (store) => {
+        store.clear();
+        plainEvents.forEach((obj) => {
+            store.put(obj);
+        });
+    });
+}
+
+/**
+ * Adds an entry to the queue of changes waiting to be sent to the server.
+ * @param {Object} entry The change to queue.
+ * @return {Promise} A promise that resolves to the queue ID of the entry.
+ */
+function addToSyncQueue(entry) {
+    return runStoreTransaction(SYNC_QUEUE_STORE, "readwrite", (store) => {
+        return store.add(entry);
+    });
+}
+
+/**
+ * Reads the queue of changes waiting to be sent to the server.
+ * @return {Promise} A promise that resolves to an array of queue entries,
+ * oldest first. Each entry has a queueID property.
+ */
+function getSyncQueue() {
+    return runStoreTransaction(SYNC_QUEUE_STORE, "readonly", (store) => {
+        return store.getAll();
+    });
+}
+
+/**
+ * Reads the queue of changes waiting to be sent to the server and merges its
+ * entries, all in one transaction, so changes queued in the meantime can't
+ * be lost. Entries keep their queue IDs, and only the entries that were
+ * merged into others are removed.
+ * @param {Function} compact A function that receives the queue, oldest
+ * first, and returns the merged entries. Merged entries have to keep the
+ * queue ID of one of the entries they were made from.
+ * @return {Promise} A promise that resolves to the merged queue.
+ */
+function compactStoredSyncQueue(compact) {
+    let compacted = [];
+    return runStoreTransaction(SYNC_QUEUE_STORE, "readwrite", (store) => {
+        const request = store.getAll();
+        request.onsuccess = () => {
+            compacted = compact(request.result);
+            const keptIDs = compacted.map(entry => entry.queueID);
+            request.result.forEach((entry) => {
+                if(!keptIDs.includes(entry.queueID)) {
+                    store.delete(entry.queueID);
+                }
+            });
+            compacted.forEach((entry) => {
+                store.put(entry);
+            });
+        };
+    }).then(() => compacted);
+}
+
+/**
+ * Removes an entry from the queue of changes waiting to be sent to the
+ * server.
+ * @param {Number} queueID The queue ID of the entry.
+ * @return {Promise} A promise that resolves when the entry is removed.
+ */
+function removeFromSyncQueue(queueID) {
+    return runStoreTransaction(SYNC_QUEUE_STORE, "readwrite", (store) => {
+        store.delete(queueID);
+    });
+}
+
+/**
+ * Removes all locally saved events and queued changes. Used when the user
+ * signs out, so the next user of the browser doesn't see their board.
+ * @return {Promise} A promise that resolves when everything is removed.
+ */
+function clearLocalData() {
+    return runStoreTransaction(EVENT_STORE, "readwrite", (store) => {
+        store.clear();
+    }).then(() => runStoreTransaction(SYNC_QUEUE_STORE, "readwrite", (store) => {
+        store.clear();
+    }));
+}
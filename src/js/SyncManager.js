@@ -0,0 +1,271 @@
+/*
+                               = SYNC MANAGER =
+    The sync manager makes sure that changes reach the server, even if it
+    can't be reached at the moment they're made. Every change is saved locally
+    and added to a queue as an operation on a single event, and the queue is
+    replayed to the server as soon as it becomes reachable again. The sync
+    status is shown to the user so they know if their changes are safe.
+*/
+
+const SYNC_RETRY_INTERVAL = 30000;
+const SYNC_STATUS_TEXT = {
+    synced: "All changes saved",
+    syncing: "Syncing...",
+    offline: "Offline",
+    error: "Sync failed",
+    signedOut: "Sign in to sync",
+};
+
+var syncState = {
+    status: "synced",
+    pendingChanges: 0,
+};
+let isFlushingSyncQueue = false;
+let syncQueueChangedDuringFlush = false;
+let syncRetryTimeout = null;
+// The latest version of each event that the server has confirmed. Changes
+// queued before the confirmation arrived are sent with this version instead.
+const confirmedEventVersions = {};
+
+/**
+ * Updates the sync state and the sync status indicator.
+ * @param {String} status One of the keys in SYNC_STATUS_TEXT.
+ * @param {Number} pendingChanges The amount of changes still waiting to be
+ * sent to the server.
+ */
+function setSyncStatus(status, pendingChanges = syncState.pendingChanges) {
+    syncState.status = status;
+    syncState.pendingChanges = pendingChanges;
+    updateSyncIndicator(document.querySelector("#sync_status"), syncState, SYNC_STATUS_TEXT[status]);
+}
+
+/**
+ * Tries to send the queued changes to the server again after a while.
+ */
+function scheduleSyncRetry() {
+    if(syncRetryTimeout !== null) {
+        return;
+    }
+    syncRetryTimeout = setTimeout(() => {
+        syncRetryTimeout = null;
+        flushSyncQueue();
+    }, SYNC_RETRY_INTERVAL);
+}
+
+/**
+ * Merges queued operations on the same event, so that e.g. an event that was
+ * created and then deleted while offline is never sent at all.
+ * @param {Array} queue The queued operations, oldest first.
+ * @return {Array} The merged operations, in the order their events were first
+ * changed. Each one keeps the queue ID of the first operation on its event.
+ */
+function compactSyncQueue(queue) {
+    const compacted = [];
+    const latestByEvent = {};
+    queue.forEach((entry) => {
+        const previous = latestByEvent[entry.eventID];
+        if(!previous) {
+            const copy = Object.assign({}, entry);
+            latestByEvent[entry.eventID] = copy;
+            compacted.push(copy);
+            return;
+        }
+        if(previous.operation === "create" && entry.operation === "delete") {
+            // The server never knew about it
+            compacted.splice(compacted.indexOf(previous), 1);
+            delete latestByEvent[entry.eventID];
+            return;
+        }
+        if(previous.operation === "delete" && entry.operation !== "delete") {
+            // Deleted and then restored, so the server copy is just updated
+            previous.operation = "update";
+        } else if(previous.operation !== "create") {
+            previous.operation = entry.operation;
+        }
+        previous.event = entry.event;
+        previous.timestamp = entry.timestamp;
+    });
+    return compacted;
+}
+
+/**
+ * Replaces the local copy of an event with the server's copy. Used when the
+ * user chooses to keep the server's version in a conflict.
+ * @param {String} eventID The ID of the event.
+ * @param {Object} serverEvent The server's copy of the event, or null if it
+ * has been deleted on the server.
+ */
+function acceptServerEvent(eventID, serverEvent) {
+    const localEvent = globalEventList.find(obj => obj.id === eventID);
+    removeEvent(eventID, globalEventList);
+    if(serverEvent) {
+        // The server doesn't include the board in the event itself
+        const board = localEvent ? localEvent.board : null;
+        globalEventList.push(new CalendarEvent(Object.assign({board: board}, serverEvent)));
+        confirmedEventVersions[eventID] = serverEvent.version;
+    }
+    saveStoredEvents(globalEventList)
+        .catch(err => console.warn(`Could not save events locally: ${err}`));
+    refreshOpenViews();
+}
+
+/**
+ * Sends a queued operation to the server and deals with the response. New
+ * versions are saved on the local events, conflicts are handed to the user,
+ * and requests the server rejects as invalid are reported and dropped.
+ * @param {Object} entry The queued operation.
+ * @return {Promise} A promise that resolves when the operation is done with,
+ * or rejects if it should be tried again later.
+ */
+function processSyncEntry(entry) {
+    const operation = Object.assign({}, entry);
+    if(confirmedEventVersions[entry.eventID] !== undefined) {
+        operation.baseVersion = confirmedEventVersions[entry.eventID];
+    }
+    return sendEventOperation(operation)
+        .then(serverEvent => {
+            if(serverEvent) {
+                confirmedEventVersions[entry.eventID] = serverEvent.version;
+                const localEvent = globalEventList.find(obj => obj.id === entry.eventID);
+                if(localEvent) {
+                    localEvent.version = serverEvent.version;
+                }
+            }
+        })
+        .catch(err => {
+            if(err.status === 404 && entry.operation === "delete") {
+                // Already gone, which is what we wanted
+                return;
+            }
+            if(err.status === 409 || err.status === 404) {
+                return resolveSyncConflict(entry, err.serverEvent);
+            }
+            // Without a session nothing can be sent, but the change is still
+            // valid once the user has signed in again
+            if(err.status && err.status !== 401 && !isRetryableStatus(err.status)) {
+                showToast(`"${entry.event.name}" could not be saved: ${err.message}`, {type: "error"});
+                return;
+            }
+            throw err;
+        });
+}
+
+/**
+ * Lets the user choose between their own and the server's version of an
+ * event that has been changed in both places.
+ * @param {Object} entry The queued operation that caused the conflict.
+ * @param {Object} serverEvent The server's copy of the event, or null if it
+ * has been deleted on the server.
+ * @return {Promise} A promise that resolves when the conflict is resolved.
+ */
+function resolveSyncConflict(entry, serverEvent) {
+    return showConflictDialog(entry.operation === "delete" ? null : entry.event, serverEvent)
+        .then(choice => {
+            if(choice === "theirs") {
+                acceptServerEvent(entry.eventID, serverEvent);
+                return;
+            }
+            // Keeping our version means overwriting the server's version
+            if(!serverEvent) {
+                if(entry.operation === "delete") {
+                    return;
+                }
+                return processSyncEntry(Object.assign({}, entry, {operation: "create"}));
+            }
+            confirmedEventVersions[entry.eventID] = serverEvent.version;
+            return processSyncEntry(entry);
+        });
+}
+
+/**
+ * Sends every queued change to the server, oldest first, and removes each
+ * entry from the queue once it's done with. Stops at the first change that
+ * fails and tries again later.
+ * @return {Promise} A promise that resolves when the attempt is over.
+ */
+function flushSyncQueue() {
+    if(!isSignedIn()) {
+        setSyncStatus("signedOut");
+        return Promise.resolve();
+    }
+    if(isFlushingSyncQueue) {
+        syncQueueChangedDuringFlush = true;
+        return Promise.resolve();
+    }
+    isFlushingSyncQueue = true;
+    syncQueueChangedDuringFlush = false;
+    return compactStoredSyncQueue(compactSyncQueue)
+        .then(queue => {
+            setSyncStatus(queue.length > 0 ? "syncing" : "synced", queue.length);
+            return queue.reduce((chain, entry, index) => {
+                return chain
+                    .then(() => processSyncEntry(entry))
+                    .then(() => removeFromSyncQueue(entry.queueID))
+                    .then(() => setSyncStatus("syncing", queue.length - index - 1));
+            }, Promise.resolve());
+        })
+        .then(() => {
+            setSyncStatus("synced", 0);
+        })
+        .catch(err => {
+            if(err.status === 401) {
+                // The queue is flushed again once the user has signed in
+                setSyncStatus("signedOut");
+                return;
+            }
+            if(err.status) {
+                showToast(`Your changes could not be saved: ${err.message} Trying again soon.`, {type: "error"});
+            }
+            setSyncStatus(err.status ? "error" : "offline");
+            scheduleSyncRetry();
+        })
+        .then(() => {
+            isFlushingSyncQueue = false;
+            if(syncQueueChangedDuringFlush) {
+                return flushSyncQueue();
+            }
+        });
+}
+
+/**
+ * Saves the event list locally and queues a change to a single event to be
+ * sent to the server, then tries to send it right away.
+ * @param {String} operation "create", "update" or "delete".
+ * @param {CalendarEvent} event The event that was changed. For occurrences of
+ * repeating events, this should be the series.
+ * @return {Promise} A promise that resolves when the change has been queued
+ * and a first attempt to send it has been made.
+ */
+function queueEventChange(operation, event) {
+    const entry = {
+        operation: operation,
+        eventID: event.id,
+        // A copy, so later changes to the event don't sneak into this one
+        event: JSON.parse(JSON.stringify(event)),
+        baseVersion: event.version,
+        timestamp: Date.now(),
+    };
+    return saveStoredEvents(globalEventList)
+        .catch(err => console.warn(`Could not save events locally: ${err}`))
+        .then(() => addToSyncQueue(entry))
+        .then(() => {
+            setSyncStatus(syncState.status, syncState.pendingChanges + 1);
+            return flushSyncQueue();
+        })
+        .catch(err => {
+            // Without a local queue the change can only be sent directly
+            console.warn(`Could not queue changes: ${err}`);
+            return processSyncEntry(entry)
+                .then(() => setSyncStatus("synced", 0))
+                .catch(sendErr => {
+                    if(sendErr.status === 401) {
+                        setSyncStatus("signedOut");
+                        return;
+                    }
+                    if(sendErr.status) {
+                        showToast(`"${event.name}" could not be saved: ${sendErr.message}`, {type: "error"});
+                    }
+                    setSyncStatus(sendErr.status ? "error" : "offline");
+                });
+        });
+}
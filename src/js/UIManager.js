@@ -9,7 +9,8 @@
 /**
  * Checks an XP Pool and calculates progress to the next level in percentage
  * units, and then updates the specified visual element and text element
- * accordingly.
+ * accordingly. If the user has just levelled up, the bar fills up before it
+ * rolls over to the progress on the new level.
  * @param {Element} progressBarFillEl An element representing a visual progress
  * bar, where the width corresponds to the percentage of progress towards the
  * next leve.
@@ -18,14 +19,42 @@
  * @param {Object} xpPool An object containing properties "currentXP" and
  * "requiredXP", which will be used to calculate the percentage width of the
  * progress bar.
+ * @param {Number} levelsGained The amount of levels just gained, if any.
  */
-function updateProgressBar(progressBarFillEl, xpTextEl, xpPool) {
-    const newPercentage = (xpPool.currentXP/xpPool.requiredXP) * 100;
-    progressBarFillEl.style.width = `${newPercentage}%`;
+function updateProgressBar(progressBarFillEl, xpTextEl, xpPool, levelsGained = 0) {
+    let newPercentage = (xpPool.currentXP/xpPool.requiredXP) * 100;
+    newPercentage = Math.min(100, Math.max(0, newPercentage));
+    if(levelsGained > 0) {
+        progressBarFillEl.style.width = "100%";
+        setTimeout(() => {
+            progressBarFillEl.style.width = `${newPercentage}%`;
+        }, 400);
+    } else {
+        progressBarFillEl.style.width = `${newPercentage}%`;
+    }
 
     xpTextEl.textContent = `${xpPool.currentXP}/${xpPool.requiredXP}`;
 }
 
+/**
+ * Updates the sync status indicator, which tells the user if their changes
+ * have reached the server.
+ * @param {Element} statusEl The sync status element. Its class is set to the
+ * current status, so it can be styled accordingly.
+ * @param {Object} state An object with the properties status and
+ * pendingChanges.
+ * @param {String} statusText The text describing the status.
+ */
+function updateSyncIndicator(statusEl, state, statusText) {
+    statusEl.className = state.status;
+    let text = statusText;
+    if(state.status !== "synced" && state.pendingChanges > 0) {
+        text += ` - ${state.pendingChanges} unsaved ${state.pendingChanges === 1 ? "change" : "changes"}`;
+    }
+    statusEl.querySelector("#sync_status_text").textContent = text;
+    statusEl.title = text;
+}
+
 /**
  * Toggles an element's display property between "none" and "block". Optionally
  * includes a background blocker which appears when the element is shown,
@@ -70,3 +99,162 @@ function toggleElementVisibility(element, backgroundBlocker = null, fadeTime = 2
         }
     }
 }
+
+/**
+ * Creates an element from a description of it. Text is always set as text,
+ * so it's safe to use with anything the user or the server has written.
+ * @param {String} tagName The tag name of the element.
+ * @param {Object} options Optional settings. classes is an array of class
+ * names, text the text content, title the tooltip, dataset an object of data
+ * attributes and children an array of elements to append. Children that are
+ * null are skipped, so optional parts can be left out inline.
+ * @return {Element} The element.
+ */
+function buildElement(tagName, options = {}) {
+    const element = document.createElement(tagName);
+    (options.classes || []).forEach((className) => {
+        element.classList.add(className);
+    });
+    if(options.text !== undefined) {
+        element.textContent = options.text;
+    }
+    if(options.title !== undefined) {
+        element.title = options.title;
+    }
+    Object.keys(options.dataset || {}).forEach((key) => {
+        element.dataset[key] = options.dataset[key];
+    });
+    (options.children || []).forEach((child) => {
+        if(child) {
+            element.appendChild(child);
+        }
+    });
+    return element;
+}
+
+/**
+ * Shows a short message at the bottom of the screen, which disappears by
+ * itself after a while.
+ * @param {String} message The message to show.
+ * @param {Object} options Optional settings. type can be "info" or "error",
+ * duration is the time in milliseconds before the message disappears, and
+ * actions is an array of {label, onClick} objects, one for each button to
+ * show next to the message. Clicking a button also closes the message.
+ * @return {Element} The message element.
+ */
+function showToast(message, options = {}) {
+    const container = document.querySelector("#toast_container");
+    const toast = document.createElement("div");
+    toast.classList.add("toast");
+    toast.classList.add(`toast_${options.type || "info"}`);
+
+    const messageEl = document.createElement("p");
+    messageEl.classList.add("toast_message");
+    messageEl.textContent = message;
+    toast.appendChild(messageEl);
+
+    let closeTimeout = null;
+    const closeToast = () => {
+        clearTimeout(closeTimeout);
+        toast.remove();
+    };
+    (options.actions || []).forEach((action) => {
+        const button = document.createElement("button");
+        button.classList.add("toast_action");
+        button.textContent = action.label;
+        button.addEventListener("click", () => {
+            closeToast();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    });
+
+    container.appendChild(toast);
+    closeTimeout = setTimeout(closeToast, options.duration || 5000);
+    return toast;
+}
+
+/**
+ * Fills one side of the conflict dialog with the details of an event.
+ * @param {Element} container The element to fill.
+ * @param {Object} event The event to show, or null if it has been deleted.
+ */
+function renderConflictVersion(container, event) {
+    container.innerHTML = ``;
+    const lines = event ? [
+        event.name,
+        `${event.date}, ${event.startTime} - ${event.endTime}`,
+        event.description,
+        event.finished ? "Finished" : "Not finished",
+    ] : ["Deleted"];
+    lines.forEach((line) => {
+        const lineEl = document.createElement("p");
+        lineEl.textContent = line;
+        container.appendChild(lineEl);
+    });
+}
+
+/**
+ * Shows a dialog where the user chooses between their own and the server's
+ * version of an event that has been changed in both places.
+ * @param {Object} localEvent The user's version of the event, or null if the
+ * user deleted it.
+ * @param {Object} serverEvent The server's version of the event, or null if
+ * it has been deleted on the server.
+ * @return {Promise} A promise that resolves to "mine" or "theirs" when the
+ * user has made a choice.
+ */
+function showConflictDialog(localEvent, serverEvent) {
+    const dialog = document.querySelector("#conflict_dialog");
+    const blocker = document.querySelector("#conflict_blocker");
+    const keepMineButton = document.querySelector("#conflict_button_mine");
+    const keepTheirsButton = document.querySelector("#conflict_button_theirs");
+    renderConflictVersion(document.querySelector("#conflict_version_mine"), localEvent);
+    renderConflictVersion(document.querySelector("#conflict_version_theirs"), serverEvent);
+    toggleElementVisibility(dialog, blocker, 200, true);
+
+    return new Promise((resolve) => {
+        const choose = (choice) => {
+            keepMineButton.onclick = null;
+            keepTheirsButton.onclick = null;
+            toggleElementVisibility(dialog, blocker, 200);
+            resolve(choice);
+        };
+        keepMineButton.onclick = () => choose("mine");
+        keepTheirsButton.onclick = () => choose("theirs");
+    });
+}
+
+/**
+ * Shows the sign in dialog, which stays open until the user has signed in.
+ * @param {String} message An optional message explaining why the user has to
+ * sign in.
+ */
+function showLoginDialog(message = "Sign in to see your board.") {
+    const dialog = document.querySelector("#login_dialog");
+    document.querySelector("#login_message").textContent = message;
+    document.querySelector("#login_error").textContent = "";
+    document.querySelector("#login_input_password").value = "";
+    toggleElementVisibility(dialog, document.querySelector("#login_blocker"), 200, true);
+    document.querySelector("#login_input_user").focus();
+}
+
+/**
+ * Hides the sign in dialog.
+ */
+function hideLoginDialog() {
+    const dialog = document.querySelector("#login_dialog");
+    if(dialog.style.display !== "none") {
+        toggleElementVisibility(dialog, document.querySelector("#login_blocker"), 200);
+    }
+}
+
+/**
+ * Shows who is signed in in the right side menu.
+ * @param {String} username The signed in user, or null if nobody is.
+ */
+function renderSignedInUser(username) {
+    document.querySelector("#user_name_display").textContent = username ? `Signed in as ${username}` : "Not signed in";
+    document.querySelector("#logout_button").style.display = username ? "" : "none";
+    document.querySelector("#profile_button").style.display = username ? "" : "none";
+}
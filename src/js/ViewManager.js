@@ -0,0 +1,478 @@
+/*
+                               = VIEW MANAGER =
+    The view manager is responsible for the different ways of looking at the
+    calendar. It keeps track of which view mode is active, switches between the
+    views and builds the elements for the views that aren't the month grid.
+*/
+
+const VIEW_MODES = ["month", "week", "year", "agenda"];
+// The amounts of days the agenda can show at once
+const AGENDA_DAY_OPTIONS = [7, 14, 30];
+const DEFAULT_AGENDA_DAYS = 14;
+const HEATMAP_LEVELS = 4;
+const WEEKDAY_SHORT_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const MINUTES_PER_DAY = 1440;
+
+/**
+ * Returns the view mode that was used last time, or "month" if none has been
+ * saved yet.
+ * @return {String} One of the values in VIEW_MODES.
+ */
+function loadViewMode() {
+    const savedMode = loadLocalSetting("viewMode", "month");
+    return VIEW_MODES.includes(savedMode) ? savedMode : "month";
+}
+
+/**
+ * Returns the amount of days the agenda showed last time.
+ * @return {Number} One of the values in AGENDA_DAY_OPTIONS.
+ */
+function loadAgendaDays() {
+    const savedDays = loadLocalSetting("agendaDays", DEFAULT_AGENDA_DAYS);
+    return AGENDA_DAY_OPTIONS.includes(savedDays) ? savedDays : DEFAULT_AGENDA_DAYS;
+}
+
+/**
+ * Shows the container belonging to the specified view mode, hides the others,
+ * marks the matching switcher button as active and remembers the choice.
+ * @param {String} mode One of the values in VIEW_MODES.
+ * @param {Object} containers An object with one container element per view
+ * mode, e.g. {month: [dayLabels, dayGrid], week: weekGrid}. A view can have
+ * several elements, in which case they're passed as an array.
+ * @param {Element} switcherContainer The element containing the view switcher
+ * buttons. Each button should have a data-view attribute.
+ */
+function switchViewMode(mode, containers, switcherContainer) {
+    VIEW_MODES.forEach((viewMode) => {
+        const elements = [].concat(containers[viewMode]);
+        elements.forEach((element) => {
+            element.style.display = (viewMode === mode) ? "" : "none";
+        });
+    });
+    const buttons = switcherContainer.children;
+    for(let i = 0; i < buttons.length; i++) {
+        if(buttons[i].dataset.view === mode) {
+            buttons[i].classList.add("active");
+        } else {
+            buttons[i].classList.remove("active");
+        }
+    }
+    saveLocalSetting("viewMode", mode);
+}
+
+/**
+ * Sorts out where events should be placed when they overlap in time. Events
+ * that overlap are put next to each other in separate columns, and every
+ * event in a group of overlapping events gets the same column count so they
+ * can share the width evenly.
+ * @param {Array} eventList The CalendarEvents to lay out.
+ * @param {String} dateString The day they're laid out on, in DD-MM-YYYY
+ * format, since multi-day events take up a different part of each day.
+ * @return {Array} An array of objects with the properties event, start, end
+ * (both in minutes since midnight), column and columnCount, sorted by start
+ * time.
+ */
+function layoutOverlappingEvents(eventList, dateString) {
+    const layout = eventList.map((obj) => {
+        const minutes = getEventMinutesOnDate(obj, dateString);
+        const start = minutes.start;
+        let end = minutes.end;
+        // Events without a proper end time still need some height to be
+        // visible, so they're treated as lasting a quarter of an hour.
+        if(end <= start) {
+            end = Math.min(start + 15, MINUTES_PER_DAY);
+        }
+        return {event: obj, start: start, end: end, column: 0, columnCount: 1};
+    }).sort((a, b) => {
+        return (a.start - b.start) || (b.end - a.end);
+    });
+
+    let group = [];
+    let columnEnds = [];
+    let groupEnd = 0;
+    const closeGroup = () => {
+        group.forEach((item) => {
+            item.columnCount = columnEnds.length;
+        });
+        group = [];
+        columnEnds = [];
+    };
+    layout.forEach((item) => {
+        // A new group starts when an event begins after every event in the
+        // current group has ended.
+        if(group.length > 0 && item.start >= groupEnd) {
+            closeGroup();
+        }
+        let column = columnEnds.findIndex(end => end <= item.start);
+        if(column === -1) {
+            column = columnEnds.length;
+            columnEnds.push(item.end);
+        } else {
+            columnEnds[column] = item.end;
+        }
+        item.column = column;
+        group.push(item);
+        groupEnd = (group.length === 1) ? item.end : Math.max(groupEnd, item.end);
+    });
+    closeGroup();
+
+    return layout;
+}
+
+/**
+ * Creates the column for a single day in the week view, with one row per hour
+ * and the day's events placed on top of the rows according to their start and
+ * end times.
+ * @param {CalendarDay} calendarDay The day to create a column for.
+ * @param {Date} date The date of the day, used for the column header.
+ * @return {Element} A div with the class "day_weekView".
+ */
+function createWeekDayColumn(calendarDay, date) {
+    const dayColumn = document.createElement("div");
+    dayColumn.classList.add("day_weekView");
+    dayColumn.dataset.date = calendarDay.date;
+    if(calendarDay.date === getDateStringFromDate(new Date())) {
+        dayColumn.classList.add("today");
+    }
+
+    const weekdayIndex = (date.getDay() + 6) % 7;
+    const dayLabel = document.createElement("h3");
+    dayLabel.classList.add("day_weekView_label");
+    dayLabel.dataset.date = calendarDay.date;
+    dayLabel.textContent = `${WEEKDAY_SHORT_NAMES[weekdayIndex]} ${date.getDate()}`;
+    dayColumn.appendChild(dayLabel);
+
+    const hourContainer = document.createElement("div");
+    hourContainer.classList.add("day_weekView_hours");
+    hourContainer.dataset.date = calendarDay.date;
+    for(let hour = 0; hour < 24; hour++) {
+        const hourSpan = document.createElement("div");
+        hourSpan.classList.add("day_hourSpan");
+        hourSpan.textContent = (hour < 10) ? `0${hour}:00` : `${hour}:00`;
+        hourContainer.appendChild(hourSpan);
+    }
+
+    // All-day events go in a row of their own above the hours
+    const allDayContainer = document.createElement("div");
+    allDayContainer.classList.add("day_weekView_allday");
+    allDayContainer.dataset.date = calendarDay.date;
+    calendarDay.eventList.filter(obj => obj.allDay).forEach((obj) => {
+        const eventDiv = document.createElement("p");
+        eventDiv.classList.add("week_event_allday");
+        eventDiv.classList.add(`event_type_${obj.type}`);
+        eventDiv.style.setProperty("--board-color", getEventBoardColor(obj));
+        eventDiv.dataset.date = calendarDay.date;
+        eventDiv.textContent = obj.name;
+        eventDiv.title = `${obj.name}, ${describeEventTime(obj, calendarDay.date)}`;
+        allDayContainer.appendChild(eventDiv);
+    });
+    dayColumn.appendChild(allDayContainer);
+
+    const timedEvents = calendarDay.eventList.filter(obj => !obj.allDay);
+    layoutOverlappingEvents(timedEvents, calendarDay.date).forEach((item) => {
+        const nameLabel = document.createElement("p");
+        nameLabel.classList.add("week_event_name");
+        nameLabel.textContent = item.event.name;
+
+        const timeLabel = document.createElement("p");
+        timeLabel.classList.add("week_event_time");
+        timeLabel.textContent = describeEventTime(item.event, calendarDay.date);
+
+        const eventDiv = document.createElement("div");
+        eventDiv.id = `week_event_${item.event.id}`;
+        eventDiv.classList.add("week_event");
+        eventDiv.classList.add(`event_type_${item.event.type}`);
+        eventDiv.style.setProperty("--board-color", getEventBoardColor(item.event));
+        eventDiv.dataset.date = calendarDay.date;
+        eventDiv.style.top = `${(item.start / MINUTES_PER_DAY) * 100}%`;
+        eventDiv.style.height = `${((item.end - item.start) / MINUTES_PER_DAY) * 100}%`;
+        eventDiv.style.left = `${(item.column / item.columnCount) * 100}%`;
+        eventDiv.style.width = `${100 / item.columnCount}%`;
+        eventDiv.appendChild(timeLabel);
+        eventDiv.appendChild(nameLabel);
+        hourContainer.appendChild(eventDiv);
+    });
+
+    dayColumn.appendChild(hourContainer);
+    return dayColumn;
+}
+
+/**
+ * Builds the week view for the week that the selected date belongs to, and
+ * replaces the contents of the container with it.
+ * @param {Date} selectedDate Any date within the week to show.
+ * @param {Element} container The container for the week view.
+ */
+function initWeekView(selectedDate, container) {
+    container.innerHTML = ``;
+    const firstDay = getFirstDayOfWeek(selectedDate);
+    for(let i = 0; i < 7; i++) {
+        const date = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + i);
+        const calendarDay = new CalendarDay(getDateStringFromDate(date));
+        container.appendChild(createWeekDayColumn(calendarDay, date));
+    }
+    renderWeekHeader(selectedDate);
+}
+
+/**
+ * Updates the calendar header with the first and last day of the week being
+ * displayed.
+ * @param {Date} selectedDate Any date within the week being displayed.
+ */
+function renderWeekHeader(selectedDate) {
+    const monthEl = document.querySelector("#currentDate_month");
+    const firstDay = getFirstDayOfWeek(selectedDate);
+    const lastDay = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + 6);
+    monthEl.textContent = `${getMonthName(firstDay.getMonth())} ${firstDay.getDate()} - ${getMonthName(lastDay.getMonth())} ${lastDay.getDate()}, ${lastDay.getFullYear()}`;
+}
+
+/**
+ * Calculates how much XP was earned on every day of a year. Every event is
+ * only looked at once, and every repeating event is expanded across the year
+ * once, instead of searching the whole event list for each day.
+ * @param {Number} year The full year, e.g. 2021.
+ * @return {Object} An object with the property days, where the keys are date
+ * strings in DD-MM-YYYY format and the values are the XP earned that day, and
+ * the property maxXP with the highest XP earned on a single day.
+ */
+function calculateYearActivity(year) {
+    const activity = {days: {}, maxXP: 0};
+    for(let month = 0; month < 12; month++) {
+        const daysInMonth = getDaysInMonth(new Date(year, month, 1));
+        for(let day = 1; day <= daysInMonth; day++) {
+            activity.days[getDateString(day, month + 1, year)] = 0;
+        }
+    }
+    // Multi-day events count on every day they cover, like in the day view
+    const addEventXP = (event, startDateString) => {
+        const earnedXP = calculateEarnedXP(event);
+        if(earnedXP === 0) {
+            return;
+        }
+        for(let offset = 0; offset <= getEventSpanDays(event); offset++) {
+            const dateString = addDaysToDateString(startDateString, offset);
+            if(activity.days[dateString] !== undefined) {
+                activity.days[dateString] += earnedXP;
+            }
+        }
+    };
+    const lastDate = new Date(year, 11, 31);
+    globalEventList.filter(obj => isBoardVisible(getEventBoard(obj))).forEach((obj) => {
+        if(!obj.recurrence) {
+            addEventXP(obj, obj.date);
+            return;
+        }
+        // Occurrences that started late in the year before can still reach
+        // into this one
+        const date = new Date(year, 0, 1 - getEventSpanDays(obj));
+        for(; date <= lastDate; date.setDate(date.getDate() + 1)) {
+            const dateString = getDateStringFromDate(date);
+            const exception = obj.exceptions[dateString];
+            if(occursOnDate(obj, dateString) && !(exception && exception.deleted)) {
+                addEventXP(createOccurrence(obj, dateString), dateString);
+            }
+        }
+    });
+    Object.keys(activity.days).forEach((dateString) => {
+        activity.maxXP = Math.max(activity.maxXP, activity.days[dateString]);
+    });
+    return activity;
+}
+
+/**
+ * Returns which shade a day should have in the year view's heatmap, based on
+ * how its earned XP compares to the best day of the year.
+ * @param {Number} earnedXP The XP earned on the day.
+ * @param {Number} maxXP The highest XP earned on a single day that year.
+ * @return {Number} A number from 0 (no XP earned) to HEATMAP_LEVELS.
+ */
+function getHeatmapLevel(earnedXP, maxXP) {
+    if(earnedXP <= 0 || maxXP <= 0) {
+        return 0;
+    }
+    return Math.max(1, Math.ceil((earnedXP / maxXP) * HEATMAP_LEVELS));
+}
+
+/**
+ * Creates a small calendar for one month of the year view, where each day is
+ * shaded according to the XP earned that day.
+ * @param {Date} monthDate The first day of the month to create.
+ * @param {Object} activity The year's activity, as returned by
+ * calculateYearActivity.
+ * @return {Element} A div with the class "yearView_month".
+ */
+function createMiniMonth(monthDate, activity) {
+    const monthDiv = document.createElement("div");
+    monthDiv.classList.add("yearView_month");
+
+    const monthLabel = document.createElement("h3");
+    monthLabel.classList.add("yearView_month_label");
+    monthLabel.textContent = getMonthName(monthDate.getMonth());
+    monthDiv.appendChild(monthLabel);
+
+    const dayGrid = document.createElement("div");
+    dayGrid.classList.add("yearView_month_grid");
+    WEEKDAY_SHORT_NAMES.forEach((name) => {
+        const weekdayLabel = document.createElement("span");
+        weekdayLabel.classList.add("yearView_weekday");
+        weekdayLabel.textContent = name[0];
+        dayGrid.appendChild(weekdayLabel);
+    });
+
+    // Empty cells up to the first weekday of the month
+    const firstDay = getFirstWeekDayInMonth(monthDate);
+    for(let i = 0; i < firstDay.index; i++) {
+        const emptyCell = document.createElement("span");
+        emptyCell.classList.add("yearView_day", "empty");
+        dayGrid.appendChild(emptyCell);
+    }
+
+    const todayString = getDateStringFromDate(new Date());
+    const daysInMonth = getDaysInMonth(monthDate);
+    for(let day = 1; day <= daysInMonth; day++) {
+        const dateString = getDateString(day, monthDate.getMonth() + 1, monthDate.getFullYear());
+        const earnedXP = activity.days[dateString];
+        const dayCell = document.createElement("span");
+        dayCell.classList.add("yearView_day");
+        dayCell.classList.add(`heat_${getHeatmapLevel(earnedXP, activity.maxXP)}`);
+        if(dateString === todayString) {
+            dayCell.classList.add("today");
+        }
+        dayCell.dataset.date = dateString;
+        dayCell.title = `${getMonthName(monthDate.getMonth())} ${day}: ${earnedXP} XP`;
+        dayCell.textContent = day;
+        dayGrid.appendChild(dayCell);
+    }
+
+    monthDiv.appendChild(dayGrid);
+    return monthDiv;
+}
+
+/**
+ * Builds the year view, with a small calendar for each month of the selected
+ * date's year, and replaces the contents of the container with it.
+ * @param {Date} selectedDate Any date within the year to show.
+ * @param {Element} container The container for the year view.
+ */
+function initYearView(selectedDate, container) {
+    container.innerHTML = ``;
+    const year = selectedDate.getFullYear();
+    const activity = calculateYearActivity(year);
+    for(let month = 0; month < 12; month++) {
+        container.appendChild(createMiniMonth(new Date(year, month, 1), activity));
+    }
+    document.querySelector("#currentDate_month").textContent = `${year}`;
+}
+
+/**
+ * Creates a row of the agenda for a single event. Unfinished tasks the user
+ * can edit get a checkbox, which finishes them right away.
+ * @param {CalendarEvent} event The event.
+ * @param {String} dateString The day the row is listed under, in DD-MM-YYYY
+ * format. Overdue tasks are listed under their own date.
+ * @param {Boolean} showDate If true, the date is shown along with the time.
+ * @return {Element} A div with the class "agenda_event".
+ */
+function createAgendaEvent(event, dateString, showDate = false) {
+    let checkBox = null;
+    if(event.type === "task" && event.finished !== true && canEditEvent(event)) {
+        checkBox = buildElement("div", {
+            classes: ["agenda_checkbox"],
+            dataset: {eventid: event.id, date: dateString},
+            title: "Mark as done",
+        });
+    }
+    const eventDiv = buildElement("div", {
+        classes: ["agenda_event", `event_type_${event.type}`],
+        dataset: {date: dateString},
+        title: `${event.name} (${getEventBoard(event)}'s board)`,
+        children: [
+            checkBox,
+            buildElement("p", {classes: ["agenda_event_time"], text: `${showDate ? `${dateString}, ` : ""}${describeEventTime(event, dateString)}`}),
+            buildElement("p", {classes: ["agenda_event_name"], text: event.name}),
+            (event.type === "task") ? buildElement("p", {classes: ["agenda_event_xp"], text: `${event.xpValue} XP`}) : null,
+        ],
+    });
+    eventDiv.style.setProperty("--board-color", getEventBoardColor(event));
+    if(event.finished === true) {
+        eventDiv.classList.add("agenda_event_finished");
+    }
+    return eventDiv;
+}
+
+/**
+ * Builds the agenda, which lists the events of the coming days grouped by
+ * day, and replaces the contents of the container with it. When the agenda
+ * starts today, overdue tasks are listed at the top.
+ * @param {Date} selectedDate The first day to show.
+ * @param {Number} dayCount The amount of days to show, one of the values in
+ * AGENDA_DAY_OPTIONS.
+ * @param {Element} container The container for the agenda.
+ */
+function initAgendaView(selectedDate, dayCount, container) {
+    container.innerHTML = ``;
+    const firstDateString = getDateStringFromDate(selectedDate);
+    const todayString = getDateStringFromDate(new Date());
+
+    const daySelect = buildElement("select", {
+        children: AGENDA_DAY_OPTIONS.map((days) => {
+            const option = buildElement("option", {text: `${days} days`});
+            option.value = days;
+            return option;
+        }),
+    });
+    daySelect.id = "agenda_input_days";
+    daySelect.value = dayCount;
+    container.appendChild(buildElement("div", {
+        classes: ["agenda_header"],
+        children: [buildElement("label", {text: "Show the next"}), daySelect],
+    }));
+
+    if(firstDateString === todayString) {
+        const overdueTasks = getOverdueTasks(globalEventList);
+        if(overdueTasks.length > 0) {
+            container.appendChild(buildElement("section", {
+                classes: ["agenda_day", "agenda_overdue"],
+                children: [buildElement("h3", {classes: ["agenda_day_label"], text: "Overdue"})]
+                    .concat(overdueTasks.map(obj => createAgendaEvent(obj, obj.date, true))),
+            }));
+        }
+    }
+
+    let hasEvents = false;
+    for(let i = 0; i < dayCount; i++) {
+        const dateString = addDaysToDateString(firstDateString, i);
+        const calendarDay = new CalendarDay(dateString);
+        if(calendarDay.eventList.length === 0) {
+            continue;
+        }
+        hasEvents = true;
+        const date = parseDateString(dateString);
+        let label = `${WEEKDAY_SHORT_NAMES[getWeekdayIndex(date)]} ${date.getDate()} ${getMonthName(date.getMonth())}`;
+        if(dateString === todayString) {
+            label = `Today - ${label}`;
+        } else if(dateString === addDaysToDateString(todayString, 1)) {
+            label = `Tomorrow - ${label}`;
+        }
+        const dayLabel = buildElement("h3", {classes: ["agenda_day_label"], text: label, dataset: {date: dateString}});
+        container.appendChild(buildElement("section", {
+            classes: ["agenda_day"],
+            children: [dayLabel].concat(calendarDay.eventList.map(obj => createAgendaEvent(obj, dateString))),
+        }));
+    }
+    if(!hasEvents) {
+        container.appendChild(buildElement("p", {classes: ["agenda_empty"], text: `Nothing is planned for the next ${dayCount} days.`}));
+    }
+    renderAgendaHeader(selectedDate, dayCount);
+}
+
+/**
+ * Updates the calendar header with the first and last day of the agenda.
+ * @param {Date} selectedDate The first day of the agenda.
+ * @param {Number} dayCount The amount of days in the agenda.
+ */
+function renderAgendaHeader(selectedDate, dayCount) {
+    const monthEl = document.querySelector("#currentDate_month");
+    const lastDay = new Date(selectedDate.getFullYear(), selectedDate.getMonth(), selectedDate.getDate() + dayCount - 1);
+    monthEl.textContent = `${getMonthName(selectedDate.getMonth())} ${selectedDate.getDate()} - ${getMonthName(lastDay.getMonth())} ${lastDay.getDate()}, ${lastDay.getFullYear()}`;
+}
@@ -0,0 +1,176 @@
+/*
+                                 = XP MANAGER =
+    The XP manager keeps a ledger of every XP award the user has received.
+    The user's level and their progress towards the next one are always
+    worked out from the ledger, so taking XP back is just another entry, and
+    nothing has to be kept in sync by hand.
+*/
+
+// The XP needed to go from level 1 to level 2. Every level after that needs
+// growth times as much as the one before it.
+const LEVEL_CURVE = {
+    firstLevelXP: 1000,
+    growth: 1.2,
+};
+
+// Each entry has the properties eventID (null for awards that don't come
+// from an event), amount (negative for reversals), timestamp, source ("task",
+// "quest", "reversal", "undo" or "legacy") and track (the Adventure Track the
+// XP went to).
+var xpLedger = [];
+
+/**
+ * Loads the XP ledger of a user. XP saved before the ledger existed is moved
+ * into it as a single entry.
+ * @param {String} user The username, or null to start from scratch.
+ */
+function loadXPLedger(user) {
+    xpLedger = [];
+    if(user) {
+        xpLedger = loadLocalSetting(`xpLedger_${user}`, null);
+        if(xpLedger === null) {
+            const legacyXP = loadLocalSetting(`userXP_${user}`, {currentXP: 0}).currentXP;
+            xpLedger = [];
+            if(legacyXP > 0) {
+                xpLedger.push({eventID: null, amount: legacyXP, timestamp: Date.now(), source: "legacy", track: null});
+            }
+        }
+    }
+    userXP = getLevelProgress(getTotalXP());
+}
+
+/**
+ * Saves the signed in user's XP ledger.
+ */
+function saveXPLedger() {
+    if(!userSession) {
+        return;
+    }
+    saveLocalSetting(`xpLedger_${userSession.user}`, xpLedger);
+}
+
+/**
+ * Adds up every entry in the ledger.
+ * @return {Number} The user's total XP.
+ */
+function getTotalXP() {
+    return xpLedger.reduce((total, entry) => total + entry.amount, 0);
+}
+
+/**
+ * Returns the XP needed to go from a level to the next one.
+ * @param {Number} level The level, starting at 1.
+ * @return {Number} The XP needed.
+ */
+function getXPRequiredForLevel(level) {
+    return Math.round(LEVEL_CURVE.firstLevelXP * Math.pow(LEVEL_CURVE.growth, level - 1));
+}
+
+/**
+ * Works out the level reached with an amount of XP, and the progress towards
+ * the next level.
+ * @param {Number} totalXP The total XP.
+ * @return {Object} An object with the properties level, currentXP (the XP
+ * earned since reaching the level) and requiredXP (the XP needed for the next
+ * level).
+ */
+function getLevelProgress(totalXP) {
+    let level = 1;
+    let remainingXP = Math.max(0, totalXP);
+    while(remainingXP >= getXPRequiredForLevel(level)) {
+        remainingXP -= getXPRequiredForLevel(level);
+        level++;
+    }
+    return {level: level, currentXP: remainingXP, requiredXP: getXPRequiredForLevel(level)};
+}
+
+/**
+ * Records an XP award in the ledger and updates userXP.
+ * @param {Number} amount The amount of XP. Negative amounts take XP away.
+ * @param {String} source What the XP was for, e.g. "task" or "quest".
+ * @param {String} eventID The ID of the event the XP was for, if any.
+ * @param {String} trackID The Adventure Track the XP went to, if any.
+ * @return {Number} The amount of levels gained. Negative if levels were lost.
+ */
+function recordXP(amount, source, eventID = null, trackID = null) {
+    const previousLevel = userXP.level;
+    xpLedger.push({eventID: eventID, amount: amount, timestamp: Date.now(), source: source, track: trackID});
+    saveXPLedger();
+    addFreezeTokenXP(amount);
+    userXP = getLevelProgress(getTotalXP());
+    return userXP.level - previousLevel;
+}
+
+/**
+ * Takes back the XP awarded for an event, e.g. when a finished task is
+ * reopened or deleted. The XP is also taken from the Adventure Tracks it went
+ * to.
+ * @param {String} eventID The ID of the event.
+ * @param {Boolean} includeOccurrences If true, the XP awarded for every
+ * occurrence of a repeating event with this ID is taken back too.
+ * @return {Number} The amount of XP taken back.
+ */
+function reverseXP(eventID, includeOccurrences = false) {
+    // The net XP still held for each matching event, per track
+    const netXP = {};
+    xpLedger.forEach((entry) => {
+        if(entry.eventID === null) {
+            return;
+        }
+        if(entry.eventID === eventID || (includeOccurrences && entry.eventID.startsWith(`${eventID}_`))) {
+            netXP[entry.eventID] = netXP[entry.eventID] || {};
+            netXP[entry.eventID][entry.track] = (netXP[entry.eventID][entry.track] || 0) + entry.amount;
+        }
+    });
+    let reversedXP = 0;
+    Object.keys(netXP).forEach((entryEventID) => {
+        Object.keys(netXP[entryEventID]).forEach((trackKey) => {
+            const amount = netXP[entryEventID][trackKey];
+            if(amount <= 0) {
+                return;
+            }
+            // Object keys are strings, so a missing track comes back as "null"
+            const track = findTrack(trackKey) ? trackKey : null;
+            xpLedger.push({eventID: entryEventID, amount: -amount, timestamp: Date.now(), source: "reversal", track: track});
+            if(track && questProgress.tracks[track]) {
+                questProgress.tracks[track].xp = Math.max(0, questProgress.tracks[track].xp - amount);
+            }
+            reversedXP += amount;
+        });
+    });
+    if(reversedXP > 0) {
+        saveXPLedger();
+        saveQuestProgress();
+        addFreezeTokenXP(-reversedXP);
+        userXP = getLevelProgress(getTotalXP());
+    }
+    return reversedXP;
+}
+
+/**
+ * Cancels out or repeats ledger entries, e.g. when a change to the calendar
+ * that awarded or took back XP is undone or redone. The XP is also added to
+ * or taken from the Adventure Tracks the entries went to.
+ * @param {Array} entries The ledger entries.
+ * @param {Boolean} cancel If true, each entry is cancelled out by an "undo"
+ * entry. Otherwise each entry is recorded again.
+ * @return {Number} The amount of XP added, negative if XP was taken away.
+ */
+function replayXPEntries(entries, cancel) {
+    let replayedXP = 0;
+    entries.forEach((entry) => {
+        const amount = cancel ? -entry.amount : entry.amount;
+        xpLedger.push({eventID: entry.eventID, amount: amount, timestamp: Date.now(), source: cancel ? "undo" : entry.source, track: entry.track});
+        if(entry.track && questProgress.tracks[entry.track]) {
+            questProgress.tracks[entry.track].xp = Math.max(0, questProgress.tracks[entry.track].xp + amount);
+        }
+        replayedXP += amount;
+    });
+    if(entries.length > 0) {
+        saveXPLedger();
+        saveQuestProgress();
+        addFreezeTokenXP(replayedXP);
+        userXP = getLevelProgress(getTotalXP());
+    }
+    return replayedXP;
+}
@@ -1,79 +1,205 @@
-// TODO: These hardcoded values must be handled dynamically and securely when I
-// can use a database, obviously.
-const userData = {
-    user: "jstameus",
-    token: "abc123"
-}
-const getRequestOptions = {
-    method: "GET",
-    mode: "cors",
-    headers: {
-        "Content-Type": "application/json",
-        "User-Name": `${userData.user}`,
-        "Board-Token": `${userData.token}`
-    },
-}
-
 // == API QUERY SETTING ==
+// Requests are sent as the signed in user, see AuthManager.js
 const BASEURL = "http://localhost:3000/api";
-const QUERY = `u=jstameus`;
+
+// == DASHBOARD ==
+// The next event changes as time passes, so it's worked out again this often
+const NEXT_EVENT_REFRESH_INTERVAL = 60000;
 
 // == GLOBALLY AVAILABLE DATA/STATE INFO ==
 var globalCalendarDayList = [];
 var globalEventList = [];
 var selectedCalendarDay = null;
+var selectedDate = new Date();
+var viewMode = loadViewMode();
+var agendaDays = loadAgendaDays();
 var editorMode = "add";
 var selectedEventID = "";
 
 // == USER XP ==
 // TODO: Should probably not be stored locally. Only modify via API calls?
+// Worked out from the signed in user's XP ledger, see XpManager.js.
 var userXP = {
-    currentXP: 200,
-    requiredXP: 4000,
+    level: 1,
+    currentXP: 0,
+    requiredXP: 1000,
 };
 
-// == MAIN CALENDAR VARIABLES ==
-const currentDate = new Date();
-const daysInCurrentMonth = getDaysInMonth(currentDate);
-const firstDayOfCurrentMonth = getFirstWeekDayInMonth(currentDate);
-
-const previousMonth = new Date();
-previousMonth.setMonth(currentDate.getMonth() - 1);
-
-const nextMonth = new Date();
-nextMonth.setMonth(currentDate.getMonth() + 1);
-
 // == DOM ELEMENTS ==
 // === MAIN CALENDAR GRID ===
 var dayGrid = document.querySelector("#monthView_dayGrid");
 dayGrid.addEventListener("click", (e) => {
     // TODO: This function is quite long and should be moved to its appropriate
     // file later.
-    switch (e.target.classList[1]) {
+    // Clicking an event preview counts as clicking its day
+    const dayDiv = e.target.closest(".monthView_day");
+    if(!dayDiv) {
+        return;
+    }
+    switch (dayDiv.classList[1]) {
         case "previous":
-            // TODO: Go back one month
+            changeSelectedMonth(-1);
             break;
         case "next":
-            // TODO: Go forward one month
+            changeSelectedMonth(1);
             break;
         case "current":
-            const selectedDay = globalCalendarDayList.find(obj => {
-                if(e.target.dataset.date === obj.date) {
-                    return true;
-                }
-            });
-            selectedCalendarDay = selectedDay;
-            selectedDay.renderEventList(scheduleContainer);
-            selectedDay.renderSummary(summaryContainer);
-            toggleElementVisibility(dayView, screenBlocker, 210);
+            openDayView(dayDiv.dataset.date);
         default:
             break;
     }
 });
+// Moving events to another day by dragging their previews
+dayGrid.addEventListener("dragstart", (e) => {
+    if(!e.target.classList.contains("draggable")) {
+        return;
+    }
+    // Multi-day events can be picked up on any of their days, so the day it
+    // was picked up on is needed to work out how far it was moved
+    e.dataTransfer.setData("text/plain", JSON.stringify({
+        eventID: e.target.dataset.eventid,
+        fromDate: e.target.closest(".monthView_day").dataset.date,
+    }));
+    e.dataTransfer.effectAllowed = "move";
+    e.target.classList.add("dragging");
+});
+dayGrid.addEventListener("dragend", (e) => {
+    if(e.target.classList.contains("draggable")) {
+        e.target.classList.remove("dragging");
+    }
+});
+dayGrid.addEventListener("dragover", (e) => {
+    const dayDiv = e.target.closest(".monthView_day");
+    if(dayDiv) {
+        // Allows dropping on the day
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "move";
+        dayDiv.classList.add("drop_target");
+    }
+});
+dayGrid.addEventListener("dragleave", (e) => {
+    const dayDiv = e.target.closest(".monthView_day");
+    if(dayDiv && !dayDiv.contains(e.relatedTarget)) {
+        dayDiv.classList.remove("drop_target");
+    }
+});
+dayGrid.addEventListener("drop", (e) => {
+    const dayDiv = e.target.closest(".monthView_day");
+    if(!dayDiv) {
+        return;
+    }
+    e.preventDefault();
+    dayDiv.classList.remove("drop_target");
+    let dragged = null;
+    try {
+        dragged = JSON.parse(e.dataTransfer.getData("text/plain"));
+    } catch(err) {
+        // Something other than an event preview was dropped
+        return;
+    }
+    rescheduleEvent(dragged.eventID, getDaysBetween(parseDateString(dragged.fromDate), parseDateString(dayDiv.dataset.date)));
+});
+// The arrow keys move a focused event preview by a day, or by a week
+dayGrid.addEventListener("keydown", (e) => {
+    const dayOffsets = {ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7};
+    if(!e.target.classList.contains("draggable")) {
+        return;
+    }
+    if(e.key === "Enter") {
+        openDayView(e.target.closest(".monthView_day").dataset.date);
+    } else if(dayOffsets[e.key]) {
+        e.preventDefault();
+        const eventID = e.target.dataset.eventid;
+        rescheduleEvent(eventID, dayOffsets[e.key]);
+        // The grid was rendered again, so the moved preview is a new element
+        const movedPreview = dayGrid.querySelector(`.event_preview[data-eventid="${eventID}"]`);
+        if(movedPreview) {
+            movedPreview.focus();
+        }
+    }
+});
+
+// === WEEK VIEW ===
+const weekGrid = document.querySelector("#weekView_grid");
+weekGrid.addEventListener("click", (e) => {
+    // Clicking anywhere in a day's column opens that day
+    if(e.target.dataset.date) {
+        openDayView(e.target.dataset.date);
+    } else if(e.target.parentElement && e.target.parentElement.dataset.date) {
+        openDayView(e.target.parentElement.dataset.date);
+    }
+});
+
+// === YEAR VIEW ===
+const yearGrid = document.querySelector("#yearView_grid");
+yearGrid.addEventListener("click", (e) => {
+    // Clicking a day jumps to its month, and opens the day
+    if(e.target.dataset.date) {
+        const dateString = e.target.dataset.date;
+        viewMode = "month";
+        setSelectedDate(parseDateString(dateString));
+        openDayView(dateString);
+    }
+});
+
+// === AGENDA VIEW ===
+const agendaGrid = document.querySelector("#agendaView_grid");
+agendaGrid.addEventListener("click", (e) => {
+    // Checkboxes finish their task right away, and anything else in a day
+    // opens that day
+    if(e.target.classList.contains("agenda_checkbox")) {
+        const calendarDay = new CalendarDay(e.target.dataset.date);
+        const task = calendarDay.eventList.find(obj => obj.id === e.target.dataset.eventid);
+        if(task) {
+            task.checked = true;
+            checkOutDay(calendarDay);
+        }
+        return;
+    }
+    const dayElement = e.target.closest("[data-date]");
+    if(dayElement) {
+        openDayView(dayElement.dataset.date);
+    }
+});
+agendaGrid.addEventListener("change", (e) => {
+    if(e.target.id === "agenda_input_days") {
+        agendaDays = parseInt(e.target.value);
+        saveLocalSetting("agendaDays", agendaDays);
+        renderCalendarView();
+    }
+});
+
+// === CALENDAR NAVIGATION ===
+const dayLabels = document.querySelector("#monthView_dayLabels");
+const viewSwitcher = document.querySelector("#view_switcher");
+const previousPeriodButton = document.querySelector("#monthView_button_previous");
+const nextPeriodButton = document.querySelector("#monthView_button_next");
+const todayButton = document.querySelector("#monthView_button_today");
+previousPeriodButton.addEventListener("click", () => {
+    changeSelectedPeriod(-1);
+});
+nextPeriodButton.addEventListener("click", () => {
+    changeSelectedPeriod(1);
+});
+todayButton.addEventListener("click", () => {
+    setSelectedDate(new Date());
+});
+viewSwitcher.addEventListener("click", (e) => {
+    if(e.target.dataset.view) {
+        viewMode = e.target.dataset.view;
+        // The agenda is about what's coming up, so it starts today
+        if(viewMode === "agenda") {
+            selectedDate = new Date();
+        }
+        renderCalendarView();
+    }
+});
 
 // === FOOTER ===
 const progressBarFill = document.querySelector("#progressBar_fill");
 const xpDisplayText = document.querySelector("#footer_xpDisplay");
+const trackLevelText = document.querySelector("#footer_trackLevel");
+const trackIcon = document.querySelector("#footer_trackIcon");
 
 // === DAY VIEW ===
 const dayView = document.querySelector("#day_view_full");
@@ -89,6 +215,11 @@ const closeEditorButton = document.querySelector("#editor_header_button");
 // to this whole container?
 scheduleContainer.addEventListener("click", (e) => {
     let checkbox = null;
+    // Read-only guests may only look at the details of an event
+    const targetEvent = selectedCalendarDay.eventList.find(obj => obj.id === e.target.dataset.parentevent);
+    if(targetEvent && !canEditEvent(targetEvent) && !e.target.classList.contains("event_footer_controlpanel_expand")) {
+        return;
+    }
     // Clicking on checkboxes
     if(e.target.classList.contains("event_main_checkbox")) {
         checkbox = e.target;
@@ -112,22 +243,54 @@ scheduleContainer.addEventListener("click", (e) => {
         }
         selectedCalendarDay.renderControlPanel(checkoutButton);
     } 
+    // Ticking off checklist items, which are done once the day is checked out
+    if(e.target.classList.contains("checklist_item_checkbox") && !e.target.classList.contains("done") &&
+        !e.target.classList.contains("disabled")) {
+        const itemID = e.target.dataset.item;
+        if(targetEvent.checkedItems.includes(itemID)) {
+            targetEvent.checkedItems = targetEvent.checkedItems.filter(id => id !== itemID);
+        } else {
+            targetEvent.checkedItems.push(itemID);
+        }
+        e.target.classList.toggle("checked", targetEvent.checkedItems.includes(itemID));
+        e.target.classList.toggle("unchecked", !targetEvent.checkedItems.includes(itemID));
+        selectedCalendarDay.renderControlPanel(checkoutButton);
+    }
 
     // Delete events
     if(e.target.classList.contains("event_footer_controlpanel_delete")) {
         let parentEvent = selectedCalendarDay.eventList.find((obj) => {
             return obj.id === e.target.dataset.parentevent
         });
-        let newList = selectedCalendarDay.eventList.filter((obj) => {
-            return obj.id != parentEvent.id;
-        });
-        // TODO: The user should get a chance to confirm before the event is
-        // deleted.
-        selectedCalendarDay.eventList = newList;
-        selectedCalendarDay.renderEventPreview(dayGrid);
+        // Deleting can be undone, so the user isn't asked to confirm it
+        const change = beginChange([parentEvent.seriesID || parentEvent.id]);
+        if(parentEvent.seriesID) {
+            const series = findSeries(parentEvent, globalEventList);
+            const deleteSeries = confirm("This event repeats. Do you want to delete every event in the series?\n\nPress Cancel to only delete this one.");
+            if(deleteSeries) {
+                removeEvent(series.id, globalEventList);
+                reverseXP(series.id, true);
+                reverseFinishedTasks(getExceptionOccurrences(series));
+                queueEventChange("delete", series);
+            } else {
+                setOccurrenceException(parentEvent, {deleted: true}, globalEventList);
+                reverseXP(parentEvent.id);
+                reverseFinishedTasks([parentEvent]);
+                queueEventChange("update", series);
+            }
+        } else {
+            removeEvent(parentEvent.id, globalEventList);
+            reverseXP(parentEvent.id);
+            reverseFinishedTasks([parentEvent]);
+            queueEventChange("delete", parentEvent);
+        }
+        recordChange(change, `Deleted "${parentEvent.name}"`);
+        renderProgress();
+        selectedCalendarDay.refreshEventList();
+        renderCalendarView();
         selectedCalendarDay.renderEventList(scheduleContainer);
         selectedCalendarDay.renderSummary(summaryContainer);
-        postEventList(globalCalendarDayList, userData.user, userData.token); 
+        showUndoToast(change);
     }
     // Edit events
     if(e.target.classList.contains("event_footer_controlpanel_edit")) {
@@ -139,6 +302,51 @@ scheduleContainer.addEventListener("click", (e) => {
         updateEventEditor(selectedEventID);
         toggleElementVisibility(editorWindow, editorBlocker, 210);
     }
+    // Reopen finished tasks, which takes back the XP they gave
+    if(e.target.classList.contains("event_footer_controlpanel_reopen")) {
+        let parentEvent = selectedCalendarDay.eventList.find((obj) => {
+            return obj.id === e.target.dataset.parentevent
+        });
+        const change = beginChange([parentEvent.seriesID || parentEvent.id]);
+        let changedEvent = parentEvent;
+        // The XP of the checklist items is taken back too, so none are done
+        const checklist = parentEvent.checklist.map(item => Object.assign({}, item, {done: false}));
+        // Taken out of the stats before finishedOn is cleared
+        reverseFinishedTasks([parentEvent]);
+        if(parentEvent.seriesID) {
+            setOccurrenceException(parentEvent, {finished: false, finishedOn: null, checklist: checklist}, globalEventList);
+            changedEvent = findSeries(parentEvent, globalEventList);
+        } else {
+            parentEvent.finished = false;
+            parentEvent.finishedOn = null;
+            parentEvent.checklist = checklist;
+        }
+        reverseXP(parentEvent.id);
+        recordChange(change, `Reopened "${parentEvent.name}"`);
+        renderProgress();
+        renderCalendarView();
+        selectedCalendarDay.renderEventList(scheduleContainer);
+        selectedCalendarDay.renderSummary(summaryContainer);
+        queueEventChange("update", changedEvent);
+    }
+    // Show or hide event details
+    if(e.target.classList.contains("event_footer_controlpanel_expand")) {
+        const eventDiv = e.target.closest(".schedule_event");
+        const details = eventDiv.querySelector(".schedule_event_details");
+        details.style.display = (details.style.display === "none") ? "block" : "none";
+    }
+    // End a repeating event's series after this occurrence
+    if(e.target.classList.contains("event_footer_controlpanel_endseries")) {
+        let parentEvent = selectedCalendarDay.eventList.find((obj) => {
+            return obj.id === e.target.dataset.parentevent
+        });
+        const change = beginChange([parentEvent.seriesID]);
+        endSeriesAt(parentEvent, globalEventList);
+        recordChange(change, `Ended the series of "${parentEvent.name}"`);
+        selectedCalendarDay.renderEventList(scheduleContainer);
+        renderCalendarView();
+        queueEventChange("update", findSeries(parentEvent, globalEventList));
+    }
 });
 closeDayViewButton.addEventListener("click", () => {
     toggleElementVisibility(dayView, screenBlocker, 210);
@@ -149,34 +357,68 @@ closeEditorButton.addEventListener("click", () => {
     toggleElementVisibility(editorWindow, editorBlocker, 210);
 });
 checkoutButton.addEventListener("click", () => {
-    selectedCalendarDay.finishCheckedEvents();
+    if(!checkOutDay(selectedCalendarDay)) {
+        return;
+    }
     selectedCalendarDay.renderControlPanel(checkoutButton);
     selectedCalendarDay.renderEventList(scheduleContainer);
     selectedCalendarDay.renderSummary(summaryContainer);
-    postEventList(globalCalendarDayList, userData.user, userData.token); 
-
 });
 addNewButton.addEventListener("click", () => {
     toggleElementVisibility(editorWindow, editorBlocker, 210);
     editorMode = "add";
+    updateEventEditor();
 });
 confirmNewEventButton.addEventListener("click", () => {
+    // Only allowed to ask while handling a click
+    if(readReminderInput(document.querySelector("#editor_input_type").value).length > 0) {
+        requestNotificationPermission();
+    }
     if(editorMode === "add") {
-        addNewEvent(selectedCalendarDay, globalEventList);
+        const change = beginChange([]);
+        const newEvent = addNewEvent(selectedCalendarDay, globalEventList);
+        if(!newEvent) {
+            return;
+        }
+        recordChange(change, `Added "${newEvent.name}"`, [newEvent.id]);
+        queueEventChange("create", newEvent);
+        if(newEvent.date !== selectedCalendarDay.date) {
+            showToast(`"${newEvent.name}" was added to ${newEvent.date}.`);
+        }
     } else if (editorMode === "edit") {
-        updateEvent(selectedEventID);
+        const editedEvent = getEditedEvent();
+        const change = beginChange([editedEvent.seriesID || editedEvent.id]);
+        const changedEvent = updateEvent(selectedEventID);
+        if(!changedEvent) {
+            return;
+        }
+        recordChange(change, `Edited "${changedEvent.name}"`);
+        queueEventChange("update", changedEvent);
     }
-    selectedCalendarDay.renderEventPreview(dayGrid);
+    renderCalendarView();
     selectedCalendarDay.renderEventList(scheduleContainer);
     selectedCalendarDay.renderSummary(summaryContainer);
     toggleElementVisibility(editorWindow, editorBlocker, 210);
-    // TODO: Hardcoded values, fix this!
-    postEventList(globalCalendarDayList, userData.user, userData.token); 
 });
 
 // === EDITOR ===
 const editorBlocker = document.querySelector("#editor_blocker");
 const editorWindow = document.querySelector("#event_editor");
+const repeatInput = document.querySelector("#editor_input_repeat");
+repeatInput.addEventListener("change", () => {
+    updateRecurrenceInputVisibility();
+});
+const allDayInput = document.querySelector("#editor_input_allday");
+allDayInput.addEventListener("change", () => {
+    updateTimeInputAvailability();
+});
+// Warnings are kept up to date while typing, and so are errors once the user
+// has tried to confirm
+["input", "change"].forEach((eventType) => {
+    editorWindow.addEventListener(eventType, () => {
+        validateEditor(readEditorInput(), getEditedEvent(), false);
+    });
+});
 
 // === RIGHT SIDE MENU ===
 const rightMenu = document.querySelector("#menu_right");
@@ -188,28 +430,723 @@ rightToggleButton.addEventListener("click", () => {
         rightMenu.className = "open";
     }
 });
+const dailyGoalCard = document.querySelector("#menu_right_daily_goal");
+const dailyGoalTypeInput = document.querySelector("#daily_goal_input_type");
+const dailyGoalTargetInput = document.querySelector("#daily_goal_input_target");
+[dailyGoalTypeInput, dailyGoalTargetInput].forEach((input) => {
+    input.addEventListener("change", () => {
+        if(!setDailyGoal(dailyGoalTypeInput.value, dailyGoalTargetInput.value)) {
+            alert("The daily goal has to be at least 1.");
+        }
+        renderProgress();
+        renderCalendarView();
+    });
+});
+const trackInput = document.querySelector("#adventure_track_input");
+const activeQuestCard = document.querySelector("#menu_right_active_quest");
+const completeQuestButton = document.querySelector("#active_quest_complete_button");
+trackInput.addEventListener("change", () => {
+    selectTrack(trackInput.value);
+    renderProgress();
+});
+completeQuestButton.addEventListener("click", () => {
+    const result = completeActiveQuest();
+    if(result) {
+        showToast(`Quest complete: ${result.quest.name}! +${result.quest.xp} XP`);
+        checkAchievements();
+    }
+    renderProgress(result ? result.levelsGained : 0);
+});
+const icsExportButton = document.querySelector("#ics_export_button");
+const icsImportButton = document.querySelector("#ics_import_button");
+const icsImportInput = document.querySelector("#ics_import_input");
+icsExportButton.addEventListener("click", () => {
+    const startDate = getDateStringFromInputValue(document.querySelector("#ics_export_start").value);
+    const endDate = getDateStringFromInputValue(document.querySelector("#ics_export_end").value);
+    const icsText = exportEventsToIcs(globalEventList, startDate, endDate);
+    downloadTextFile("dayblazer-calendar.ics", icsText, "text/calendar");
+});
+icsImportButton.addEventListener("click", () => {
+    const file = icsImportInput.files[0];
+    if(!file) {
+        alert("Choose an .ics file to import first.");
+        return;
+    }
+    file.text()
+        .then(text => {
+            const result = importEventsFromIcs(text, globalEventList);
+            renderCalendarView();
+            result.imported.forEach((obj) => {
+                queueEventChange("create", obj);
+            });
+            alert(`Imported ${result.imported.length} events. Skipped ${result.duplicates} duplicates and ${result.invalid} invalid events.`);
+            icsImportInput.value = "";
+        })
+        .catch(err => {
+            alert("The file could not be imported.");
+        });
+});
+
+// === BACKLOG ===
+const backlogCard = document.querySelector("#menu_right_backlog");
+const backlogAutoInput = document.querySelector("#backlog_input_auto");
+const backlogDecayInput = document.querySelector("#backlog_input_decay");
+backlogCard.addEventListener("click", (e) => {
+    if(e.target.id === "backlog_move_all_button") {
+        carryOverTasks(getOverdueTasks(globalEventList), getDateStringFromDate(new Date()));
+    } else if(e.target.classList.contains("backlog_today_button")) {
+        const task = globalEventList.find(obj => obj.id === e.target.closest(".backlog_task").dataset.eventid);
+        carryOverTasks([task], getDateStringFromDate(new Date()));
+    }
+});
+backlogCard.addEventListener("change", (e) => {
+    if(e.target.classList.contains("backlog_reschedule_input")) {
+        const dateString = getDateStringFromInputValue(e.target.value);
+        const task = globalEventList.find(obj => obj.id === e.target.closest(".backlog_task").dataset.eventid);
+        if(dateString && !carryOverTasks([task], dateString)) {
+            alert("Overdue tasks can only be moved to today or a later day.");
+            e.target.value = "";
+        }
+    } else if(e.target === backlogAutoInput || e.target === backlogDecayInput) {
+        if(!setBacklogSettings(backlogAutoInput.checked, backlogDecayInput.value)) {
+            alert("The XP lost per day has to be between 0 and 100%.");
+        }
+        renderBacklog(backlogCard, globalEventList);
+    }
+});
+
+// === CATEGORIES ===
+const categoryListContainer = document.querySelector("#category_list");
+const categoryForm = document.querySelector("#category_form");
+const categoryNameInput = document.querySelector("#category_input_name");
+const categoryColorInput = document.querySelector("#category_input_color");
+const categoryIconInput = document.querySelector("#category_input_icon");
+const categoryXPInput = document.querySelector("#category_input_xp");
+const categoryErrorText = document.querySelector("#category_error");
+const categoryFilterInput = document.querySelector("#category_filter");
+categoryColorInput.value = DEFAULT_CATEGORY_COLOR;
+fillCategoryIconInput(categoryIconInput, CATEGORY_ICONS[0]);
+categoryForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const name = categoryNameInput.value.trim();
+    const error = validateCategoryName(name);
+    categoryErrorText.textContent = error || "";
+    if(error) {
+        return;
+    }
+    createCategory(name, categoryColorInput.value, categoryIconInput.value, categoryXPInput.checked);
+    categoryForm.reset();
+    categoryColorInput.value = DEFAULT_CATEGORY_COLOR;
+    renderCategories();
+});
+categoryListContainer.addEventListener("change", (e) => {
+    const categoryDiv = e.target.closest(".category_list_item");
+    if(!categoryDiv) {
+        return;
+    }
+    if(e.target.classList.contains("category_input_name")) {
+        const name = e.target.value.trim();
+        const error = validateCategoryName(name, categoryDiv.dataset.category);
+        if(error) {
+            alert(error);
+        } else {
+            updateCategory(categoryDiv.dataset.category, {name: name});
+        }
+    } else if(e.target.classList.contains("category_input_color")) {
+        updateCategory(categoryDiv.dataset.category, {color: e.target.value});
+    } else if(e.target.classList.contains("category_input_icon")) {
+        updateCategory(categoryDiv.dataset.category, {icon: e.target.value});
+    }
+    renderCategories();
+    refreshOpenViews();
+});
+categoryListContainer.addEventListener("click", (e) => {
+    if(!e.target.classList.contains("category_button_remove")) {
+        return;
+    }
+    const category = getCategory(e.target.closest(".category_list_item").dataset.category);
+    if(!confirm(`Delete the category "${category.name}"? Its events are kept.`)) {
+        return;
+    }
+    deleteCategory(category.id);
+    renderCategories();
+    refreshOpenViews();
+});
+categoryFilterInput.addEventListener("change", () => {
+    setCategoryFilter(categoryFilterInput.value);
+    renderCalendarView();
+});
+
+// === BOARDS ===
+const boardListContainer = document.querySelector("#board_list");
+const guestListContainer = document.querySelector("#guest_list");
+const guestUserInput = document.querySelector("#guest_input_user");
+const guestPermissionInput = document.querySelector("#guest_input_permission");
+const guestInviteButton = document.querySelector("#guest_invite_button");
+boardListContainer.addEventListener("change", (e) => {
+    const boardDiv = e.target.closest(".board_list_item");
+    const board = findBoard(boardDiv.dataset.board);
+    if(e.target.classList.contains("board_input_visible")) {
+        board.visible = e.target.checked;
+    } else if(e.target.classList.contains("board_input_color")) {
+        board.color = e.target.value;
+    }
+    saveBoardSettings();
+    refreshOpenViews();
+});
+guestInviteButton.addEventListener("click", () => {
+    const guest = guestUserInput.value.trim();
+    if(guest === "") {
+        return;
+    }
+    inviteGuest(guest, guestPermissionInput.value)
+        .then(() => {
+            guestUserInput.value = "";
+            renderGuestList(guestListContainer);
+            showToast(`${guest} has been invited to your board.`);
+        })
+        .catch(err => {
+            showToast(`${guest} could not be invited: ${err.message}`, {type: "error"});
+        });
+});
+guestListContainer.addEventListener("change", (e) => {
+    if(e.target.classList.contains("guest_input_permission")) {
+        const guest = e.target.closest(".guest_list_item").dataset.guest;
+        changeGuestPermission(guest, e.target.value)
+            .catch(err => {
+                showToast(`The rights of ${guest} could not be changed: ${err.message}`, {type: "error"});
+            })
+            .then(() => renderGuestList(guestListContainer));
+    }
+});
+guestListContainer.addEventListener("click", (e) => {
+    if(e.target.classList.contains("guest_button_remove")) {
+        const guest = e.target.closest(".guest_list_item").dataset.guest;
+        if(!confirm(`Remove ${guest} from your board?`)) {
+            return;
+        }
+        removeGuest(guest)
+            .catch(err => {
+                showToast(`${guest} could not be removed: ${err.message}`, {type: "error"});
+            })
+            .then(() => renderGuestList(guestListContainer));
+    }
+});
+
+// === SEARCH ===
+const searchForm = document.querySelector("#menu_right_search");
+const searchResultList = document.querySelector("#search_results");
+const searchStatusText = document.querySelector("#search_status");
+const searchClearButton = document.querySelector("#search_clear_button");
+searchForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    runSearch(readSearchInput());
+});
+searchClearButton.addEventListener("click", () => {
+    searchForm.reset();
+    runSearch(readSearchInput());
+});
+// Clicking a result shows its month and opens its day
+searchResultList.addEventListener("click", (e) => {
+    const result = e.target.closest(".search_result");
+    if(!result) {
+        return;
+    }
+    setSelectedDate(parseDateString(result.dataset.date));
+    openDayView(result.dataset.date);
+});
+
+// === UNDO AND REDO ===
+// Ctrl+Z undoes the latest change, and Ctrl+Shift+Z or Ctrl+Y redoes it.
+// Text fields keep their own undo.
+document.addEventListener("keydown", (e) => {
+    const key = e.key.toLowerCase();
+    if(!(e.ctrlKey || e.metaKey) || (key !== "z" && key !== "y")) {
+        return;
+    }
+    if(e.target.closest && e.target.closest("input, textarea, select")) {
+        return;
+    }
+    e.preventDefault();
+    stepHistory(e.shiftKey || key === "y");
+});
+
+// === PROFILE ===
+const profileView = document.querySelector("#profile_view");
+const closeProfileButton = document.querySelector("#profile_button_close");
+closeProfileButton.addEventListener("click", () => {
+    toggleElementVisibility(profileView, screenBlocker, 210);
+});
+
+// === SIGN IN AND OUT ===
+const loginForm = document.querySelector("#login_form");
+const loginErrorText = document.querySelector("#login_error");
+const loginButton = document.querySelector("#login_button");
+const logoutButton = document.querySelector("#logout_button");
+const profileButton = document.querySelector("#profile_button");
+loginForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const username = document.querySelector("#login_input_user").value.trim();
+    const password = document.querySelector("#login_input_password").value;
+    loginButton.disabled = true;
+    loginErrorText.textContent = "";
+    signIn(username, password)
+        .then(session => {
+            hideLoginDialog();
+            renderSignedInUser(session.user);
+            loadQuestProgress(session.user);
+            loadAchievements(session.user);
+            loadDailyGoal(session.user);
+            loadBacklogSettings(session.user);
+            loadCategories(session.user);
+            renderCategories();
+            clearHistory();
+            renderProgress();
+            loadBoard();
+        })
+        .catch(err => {
+            if(err.status === 400 || err.status === 401 || err.status === 403) {
+                loginErrorText.textContent = "Wrong username or password.";
+            } else if(err.status) {
+                loginErrorText.textContent = err.message;
+            } else {
+                loginErrorText.textContent = "The server could not be reached.";
+            }
+        })
+        .then(() => {
+            loginButton.disabled = false;
+        });
+});
+profileButton.addEventListener("click", () => {
+    document.querySelector("#profile_name").textContent = userSession ? userSession.user : "Profile";
+    renderProfile(document.querySelector("#profile_stats"), document.querySelector("#profile_badges"));
+    toggleElementVisibility(profileView, screenBlocker, 210);
+});
+logoutButton.addEventListener("click", () => {
+    if(syncState.pendingChanges > 0 && !confirm("Some of your changes haven't been saved to the server yet, and will be lost if you sign out. Sign out anyway?")) {
+        return;
+    }
+    signOut().then(() => {
+        globalEventList = [];
+        globalBoardList = [];
+        renderBoardList(boardListContainer);
+        renderGuestList(guestListContainer);
+        renderSignedInUser(null);
+        loadQuestProgress(null);
+        loadAchievements(null);
+        loadDailyGoal(null);
+        loadBacklogSettings(null);
+        loadCategories(null);
+        renderCategories();
+        clearHistory();
+        activeSearchResults = null;
+        renderSearchResults(searchResultList, searchStatusText, null);
+        renderProgress();
+        setSyncStatus("signedOut", 0);
+        setSelectedDate(new Date());
+        showLoginDialog();
+    });
+});
 
 // == MAIN APP FUNCTIONS ==
 function initApp() {
-    fetch(`${BASEURL}/${QUERY}`, getRequestOptions)
-        .then(response => response.json())
-        .then(data => {
-            if(data.events) {
-                // Populate the Global Event List
-                data.events.forEach((obj) => {
-                    globalEventList.push(obj);
+    renderDateInfo(new Date());
+    renderTimeInfo();
+    startReminderScheduler();
+    let today = getDateStringFromDate(new Date());
+    setInterval(() => {
+        new CalendarDay(getDateStringFromDate(new Date())).renderDashBoard();
+        // Tasks become overdue when a new day starts
+        if(today !== getDateStringFromDate(new Date())) {
+            today = getDateStringFromDate(new Date());
+            rollForwardOverdueTasks();
+            renderBacklog(backlogCard, globalEventList);
+        }
+    }, NEXT_EVENT_REFRESH_INTERVAL);
+    if(!isSignedIn()) {
+        renderSignedInUser(null);
+        renderCategories();
+        renderProgress();
+        setSyncStatus("signedOut");
+        setSelectedDate(selectedDate);
+        showLoginDialog();
+        return;
+    }
+    renderSignedInUser(userSession.user);
+    loadQuestProgress(userSession.user);
+    loadAchievements(userSession.user);
+    loadDailyGoal(userSession.user);
+    loadBacklogSettings(userSession.user);
+    loadCategories(userSession.user);
+    renderCategories();
+    renderProgress();
+    loadBoard();
+}
+
+/**
+ * Re-renders everything that shows the user's XP, quest progress and daily
+ * goal.
+ * @param {Number} levelsGained The amount of levels the user just gained, if
+ * any, so the progress bar can roll over.
+ */
+function renderProgress(levelsGained = 0) {
+    updateProgressBar(progressBarFill, xpDisplayText, userXP, levelsGained);
+    trackLevelText.textContent = `Lv. ${userXP.level}`;
+    renderTrackIcon(trackIcon);
+    fillTrackInput(trackInput);
+    renderActiveQuest(activeQuestCard);
+    renderDailyGoal(dailyGoalCard, globalEventList);
+}
+
+/**
+ * Re-renders the list of categories in the side menu, and the inputs that
+ * offer them.
+ */
+function renderCategories() {
+    renderCategoryList(categoryListContainer);
+    fillCategoryOptions(categoryFilterInput);
+    categoryFilterInput.value = categoryFilter;
+}
+
+/**
+ * Loads the signed in user's board, and the boards they are a guest on. The
+ * locally saved events are shown right away, and replaced with the server's
+ * copies once they have been fetched.
+ */
+function loadBoard() {
+    loadScoringRules();
+    loadStoredEvents()
+        .catch(err => {
+            console.warn(`Could not load local events: ${err}`);
+            return [];
+        })
+        .then(storedEvents => {
+            globalEventList = storedEvents.map(obj => new CalendarEvent(obj));
+            return loadBoardList();
+        })
+        .then(boards => {
+            renderBoardList(boardListContainer);
+            renderGuestList(guestListContainer);
+            setSelectedDate(selectedDate);
+            return Promise.all(boards.map((board, index) => {
+                if(index === 0) {
+                    return fetchBoardEvents(board);
+                }
+                // A board the user has lost access to just stops showing up
+                return fetchBoardEvents(board).catch(err => {
+                    if(err.status === 401 || !err.status) {
+                        throw err;
+                    }
+                    console.warn(`Could not load ${board.owner}'s board: ${err}`);
+                    return [];
                 });
-                globalCalendarDayList = createCalendarDayData(currentDate);
-            }
+            }));
         })
-        .then(() => {
-            globalEventList = [];
-            initCalendar(currentDate, dayGrid, globalCalendarDayList);
+        .then(boardEvents => {
+            return {events: [].concat(...boardEvents)};
+        })
+        .then(data => {
+            return getSyncQueue()
+                .catch(() => [])
+                .then(queue => {
+                    // Local changes that haven't been sent yet are newer than
+                    // the server's copy, so it's only used if there are none.
+                    if(queue.length === 0 && data.events) {
+                        // Populate the Global Event List
+                        globalEventList = createEventList(data);
+                        saveStoredEvents(globalEventList)
+                            .catch(err => console.warn(`Could not save events locally: ${err}`));
+                        setSelectedDate(selectedDate);
+                    }
+                    // Missed days can only be found once the events are in
+                    if(applyStreakFreezes(globalEventList) > 0) {
+                        renderCalendarView();
+                    }
+                    rollForwardOverdueTasks();
+                    renderProgress();
+                    return flushSyncQueue();
+                });
         })
         .catch(err => {
-            console.log(`ERROR: ${err}`);
+            if(err.status === 401) {
+                // The sign in dialog is already open, and loads the board again
+                setSyncStatus("signedOut");
+                return;
+            }
+            if(err.status) {
+                showToast(`Your events could not be loaded from the server: ${err.message}`, {type: "error"});
+            }
+            setSyncStatus(err.status ? "error" : "offline");
+            scheduleSyncRetry();
+        });
+}
+
+/**
+ * Makes the specified date the selected date and re-renders the active view.
+ * @param {Date} date The date to select.
+ */
+function setSelectedDate(date) {
+    selectedDate = date;
+    renderCalendarView();
+}
+
+/**
+ * Re-renders the active view mode for the selected date, rebuilding the list
+ * of CalendarDays for the selected month. Should be called whenever events
+ * have been added, changed or removed.
+ */
+function renderCalendarView() {
+    switchViewMode(viewMode, {month: [dayLabels, dayGrid], week: weekGrid, year: yearGrid, agenda: agendaGrid}, viewSwitcher);
+    // Only the month grid can be filtered by category
+    categoryFilterInput.style.display = (viewMode === "month") ? "" : "none";
+    globalCalendarDayList = createCalendarDayData(selectedDate);
+    if(viewMode === "week") {
+        initWeekView(selectedDate, weekGrid);
+    } else if(viewMode === "year") {
+        initYearView(selectedDate, yearGrid);
+    } else if(viewMode === "agenda") {
+        initAgendaView(selectedDate, agendaDays, agendaGrid);
+    } else {
+        initCalendar(selectedDate, dayGrid, globalCalendarDayList);
+    }
+    // The dashboard and backlog always show the actual current day, no
+    // matter which period is being displayed.
+    new CalendarDay(getDateStringFromDate(new Date())).renderDashBoard();
+    renderBacklog(backlogCard, globalEventList);
+}
+
+/**
+ * Moves the selected month forwards or backwards.
+ * @param {Number} offset The amount of months to move. Negative numbers move
+ * backwards.
+ */
+function changeSelectedMonth(offset) {
+    setSelectedDate(new Date(selectedDate.getFullYear(), selectedDate.getMonth() + offset, 1));
+}
+
+/**
+ * Moves the selected date forwards or backwards by one unit of the active view
+ * mode, i.e. by months in the month view, by weeks in the week view, by years
+ * in the year view and by as many days as the agenda shows in the agenda view.
+ * @param {Number} offset The amount of units to move. Negative numbers move
+ * backwards.
+ */
+function changeSelectedPeriod(offset) {
+    if(viewMode === "week") {
+        setSelectedDate(new Date(selectedDate.getFullYear(), selectedDate.getMonth(), selectedDate.getDate() + offset * 7));
+    } else if(viewMode === "year") {
+        setSelectedDate(new Date(selectedDate.getFullYear() + offset, selectedDate.getMonth(), 1));
+    } else if(viewMode === "agenda") {
+        setSelectedDate(new Date(selectedDate.getFullYear(), selectedDate.getMonth(), selectedDate.getDate() + offset * agendaDays));
+    } else {
+        changeSelectedMonth(offset);
+    }
+}
+
+/**
+ * Re-renders the active view, and the day view if it's open, after events
+ * have been changed from somewhere other than the day view itself.
+ */
+function refreshOpenViews() {
+    renderCalendarView();
+    if(selectedCalendarDay) {
+        selectedCalendarDay.refreshEventList();
+        selectedCalendarDay.renderEventList(scheduleContainer);
+        selectedCalendarDay.renderSummary(summaryContainer);
+    }
+}
+
+/**
+ * Moves an event to another day, and offers to move it back. Multi-day
+ * events keep their length.
+ * @param {String} eventID The ID of the event. Occurrences of repeating events
+ * can't be moved on their own.
+ * @param {Number} dayOffset The amount of days to move the event. Negative
+ * numbers move it backwards.
+ */
+function rescheduleEvent(eventID, dayOffset) {
+    const event = globalEventList.find(obj => obj.id === eventID);
+    if(!event || !canEditEvent(event) || dayOffset === 0) {
+        return;
+    }
+    const change = beginChange([eventID]);
+    event.date = addDaysToDateString(event.date, dayOffset);
+    if(event.endDate) {
+        event.endDate = addDaysToDateString(event.endDate, dayOffset);
+    }
+    recordChange(change, `Moved "${event.name}" to ${event.date}`);
+    queueEventChange("update", event);
+    // Rebuilds the CalendarDays of both dates, along with the rest of the view
+    refreshOpenViews();
+    showUndoToast(change);
+}
+
+/**
+ * Moves overdue tasks to today or a later day, and offers to move them back.
+ * @param {Array} tasks The tasks, as returned by getOverdueTasks.
+ * @param {String} dateString The day to move them to, in DD-MM-YYYY format.
+ * @return {Boolean} False if the day has already passed, true otherwise.
+ */
+function carryOverTasks(tasks, dateString) {
+    if(tasks.length === 0) {
+        return true;
+    }
+    const change = beginChange(tasks.map(obj => obj.id));
+    if(!tasks.every(obj => moveOverdueTask(obj, dateString))) {
+        return false;
+    }
+    recordChange(change, (tasks.length === 1) ? `Moved "${tasks[0].name}" to ${dateString}` : `Moved ${tasks.length} overdue tasks to ${dateString}`);
+    tasks.forEach((obj) => {
+        queueEventChange("update", obj);
+    });
+    refreshOpenViews();
+    showUndoToast(change);
+    return true;
+}
+
+/**
+ * Moves the overdue tasks to today if the user has turned that on and it
+ * hasn't been done yet today.
+ */
+function rollForwardOverdueTasks() {
+    carryOverTasks(checkRollForward(globalEventList), getDateStringFromDate(new Date()));
+}
+
+/**
+ * Searches the loaded events and shows the results right away, then adds any
+ * older events the server finds once it responds.
+ * @param {Object} query The search, as returned by readSearchInput. If it's
+ * empty, the active search is cleared instead.
+ */
+function runSearch(query) {
+    if(isSearchEmpty(query)) {
+        activeSearchResults = null;
+    } else {
+        activeSearchResults = searchEvents(globalEventList, query);
+    }
+    renderSearchResults(searchResultList, searchStatusText, activeSearchResults);
+    renderCalendarView();
+    if(activeSearchResults === null || !isSignedIn()) {
+        return;
+    }
+    const localResults = activeSearchResults;
+    searchServerEvents(query)
+        .then(serverEvents => {
+            // A newer search may have been started in the meantime
+            if(activeSearchResults !== localResults) {
+                return;
+            }
+            activeSearchResults = mergeServerSearchResults(localResults, serverEvents, query);
+            renderSearchResults(searchResultList, searchStatusText, activeSearchResults);
+        })
+        .catch(() => {
+            // The local results are still shown
+            if(activeSearchResults === localResults) {
+                searchStatusText.textContent += " The server could not be reached, so only loaded events were searched.";
+            }
         });
-    updateProgressBar(progressBarFill, xpDisplayText, userXP);
+}
+
+/**
+ * Finishes every checked event of a day and the ticked off items of
+ * checklists, awards the XP of the tasks among them and offers to undo it.
+ * The calendar view is rendered again, but the day view is left to the
+ * caller.
+ * @param {CalendarDay} calendarDay The day.
+ * @return {Boolean} True if anything was checked and finished.
+ */
+function checkOutDay(calendarDay) {
+    const checkedEvents = calendarDay.eventList.filter(obj => obj.checked === true || obj.checkedItems.length > 0);
+    if(checkedEvents.length === 0) {
+        return false;
+    }
+    const change = beginChange(checkedEvents.map(obj => obj.seriesID || obj.id).filter((id, i, ids) => ids.indexOf(id) === i));
+    let label = (checkedEvents.length === 1) ? `Finished "${checkedEvents[0].name}"` : `Finished ${checkedEvents.length} events`;
+    if(checkedEvents.length === 1 && !willFinishTask(checkedEvents[0])) {
+        const itemCount = checkedEvents[0].checkedItems.length;
+        label = `Ticked off ${itemCount} ${itemCount === 1 ? "item" : "items"} of "${checkedEvents[0].name}"`;
+    }
+    // Finished tasks are worth their XP. It's awarded first, so achievements
+    // for total XP count this XP too.
+    let levelsGained = 0;
+    const streak = getStreaks(lifetimeStats.finishDates).current;
+    checkedEvents.filter((obj) => {
+        return obj.type === "task" && obj.finished !== true;
+    }).forEach((obj) => {
+        const score = calculateTaskXP(obj, {streak: streak, carryOverDecay: backlogSettings.decayPerDay});
+        let xp = score.total;
+        // Tasks with a checklist are worth a share of their XP for each item
+        const checklist = getChecklistProgress(obj);
+        if(checklist.total > 0) {
+            xp = calculateChecklistXP(score.total, checklist.total, checklist.done, willFinishTask(obj) ? checklist.total : checklist.done + checklist.checked);
+        }
+        levelsGained += awardXP(xp, "task", obj.id);
+        if(score.reasons.length > 0) {
+            showToast(`"${obj.name}": +${xp} XP (${score.reasons.join(", ")})`);
+        }
+    });
+    const changedEvents = calendarDay.finishCheckedEvents();
+    recordChange(change, label);
+    renderProgress(levelsGained);
+    renderCalendarView();
+    changedEvents.forEach((obj) => {
+        queueEventChange("update", obj);
+    });
+    showUndoToast(change);
+    return true;
+}
+
+/**
+ * Shows a message describing a change, with a button to undo it.
+ * @param {Object} change The change, as returned by recordChange.
+ */
+function showUndoToast(change) {
+    showToast(`${change.label}.`, {
+        actions: [{label: "Undo", onClick: () => {
+            if(undoChange(change)) {
+                refreshOpenViews();
+                renderProgress();
+            } else {
+                showToast("Newer changes have to be undone first, with Ctrl+Z.");
+            }
+        }}],
+    });
+}
+
+/**
+ * Undoes the latest change, or redoes the latest change that was undone, and
+ * tells the user what happened.
+ * @param {Boolean} redo If true, a change is redone instead of undone.
+ */
+function stepHistory(redo) {
+    const change = redo ? redoLastChange() : undoLastChange();
+    if(!change) {
+        showToast(redo ? "Nothing to redo." : "Nothing to undo.");
+        return;
+    }
+    refreshOpenViews();
+    renderProgress();
+    showToast(`${redo ? "Redone" : "Undone"}: ${change.label}`);
+}
+
+/**
+ * Opens the full day view for the specified date.
+ * @param {String} dateString The date of the day to open, in DD-MM-YYYY
+ * format.
+ */
+function openDayView(dateString) {
+    let selectedDay = globalCalendarDayList.find(obj => {
+        return obj.date === dateString;
+    });
+    // Days outside of the selected month (e.g. in the week view) don't have a
+    // CalendarDay in the global list, so one is created for them.
+    if(!selectedDay) {
+        selectedDay = new CalendarDay(dateString);
+    }
+    selectedCalendarDay = selectedDay;
+    selectedDay.renderEventList(scheduleContainer);
+    selectedDay.renderSummary(summaryContainer);
+    toggleElementVisibility(dayView, screenBlocker, 210);
 }
 // ------------------------
 
@@ -217,3 +1154,7 @@ function initApp() {
 window.addEventListener("DOMContentLoaded", () => {
     initApp();
 });
+// Send any changes made while offline as soon as the connection is back
+window.addEventListener("online", () => {
+    flushSyncQueue();
+});
@@ -0,0 +1,151 @@
+// Checks that markup and scripts in event names and descriptions are shown as
+// text, and never turned into elements or event handlers.
+// Run with: npm test
+
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const {describe, it, before, after} = require("node:test");
+const {JSDOM} = require("jsdom");
+
+const ROOT = path.join(__dirname, "..");
+const IMG_NAME = `<img src="x" onerror="window.pwned = true">`;
+const SCRIPT_NAME = `<script>window.pwned = true</script>`;
+const JAVASCRIPT_LINK = "[Click me](javascript:window.pwned=true)";
+
+/**
+ * Loads index.html and the scripts in src/js into a new window, without
+ * starting the app.
+ * @return {Window} The window.
+ */
+function loadApp() {
+    const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+    const scripts = [...html.matchAll(/<script src="(src\/js\/[^"]+)"><\/script>/g)].map(match => match[1]);
+    const dom = new JSDOM(html.replace(/<script[^>]*><\/script>/g, ""), {
+        runScripts: "outside-only",
+        url: "http://localhost/",
+    });
+    // Run as scripts, like in the browser, so their constants and classes are
+    // shared
+    const context = dom.getInternalVMContext();
+    scripts.forEach((script) => {
+        new vm.Script(fs.readFileSync(path.join(ROOT, script), "utf8"), {filename: script}).runInContext(context);
+    });
+    return dom.window;
+}
+
+/**
+ * Fails if an element, or anything in it, is an img or script element, has
+ * an event handler attribute or links to a javascript: address.
+ * @param {Element} root The element to check.
+ */
+function assertNoMarkup(root) {
+    assert.strictEqual(root.querySelectorAll("img, script").length, 0);
+    [root, ...root.querySelectorAll("*")].forEach((element) => {
+        [...element.attributes].forEach((attribute) => {
+            assert.ok(!attribute.name.toLowerCase().startsWith("on"), `${element.tagName} has ${attribute.name}`);
+        });
+        if(element.tagName === "A") {
+            assert.ok(!/^\s*javascript:/i.test(element.getAttribute("href")), `Link to ${element.getAttribute("href")}`);
+        }
+    });
+}
+
+describe("rendering user text", () => {
+    let window;
+    before(() => {
+        window = loadApp();
+    });
+    // Closing the window stops any timers the scripts started
+    after(() => {
+        window.close();
+    });
+
+    it("renderMarkdown shows markup as text", () => {
+        const container = window.document.createElement("div");
+        container.appendChild(window.renderMarkdown(`${IMG_NAME}\n- ${SCRIPT_NAME}\n\n${JAVASCRIPT_LINK} **bold**`));
+        assertNoMarkup(container);
+        assert.ok(container.textContent.includes(IMG_NAME));
+        assert.ok(container.textContent.includes(SCRIPT_NAME));
+        assert.ok(container.textContent.includes(JAVASCRIPT_LINK));
+        assert.strictEqual(container.querySelectorAll("strong").length, 1);
+    });
+
+    it("renderMarkdown still renders safe links", () => {
+        const container = window.document.createElement("div");
+        container.appendChild(window.renderMarkdown("[Docs](https://example.com/docs)"));
+        const link = container.querySelector("a");
+        assert.strictEqual(link.getAttribute("href"), "https://example.com/docs");
+        assert.strictEqual(link.textContent, "Docs");
+    });
+
+    it("buildElement sets text and titles as text", () => {
+        const element = window.buildElement("div", {
+            text: IMG_NAME,
+            title: SCRIPT_NAME,
+            dataset: {name: IMG_NAME},
+            children: [window.buildElement("span", {text: SCRIPT_NAME})],
+        });
+        assertNoMarkup(element);
+        assert.strictEqual(element.firstChild.textContent, IMG_NAME);
+        assert.strictEqual(element.title, SCRIPT_NAME);
+    });
+
+    it("the event list and month previews show names and descriptions as text", () => {
+        const today = window.getDateStringFromDate(new window.Date());
+        window.testEvents = [
+            {id: "img1", name: IMG_NAME, description: `${SCRIPT_NAME}\n${JAVASCRIPT_LINK}`, date: today,
+                startTime: "09:00", endTime: "10:00", type: "task", difficulty: 1, xpValue: 100},
+            {id: "script1", name: SCRIPT_NAME, description: IMG_NAME, date: today,
+                startTime: "11:00", endTime: "12:00", type: "event", difficulty: 1, xpValue: 0},
+        ];
+        window.eval("globalEventList = testEvents.map(obj => new CalendarEvent(obj));");
+        const calendarDay = new (window.eval("CalendarDay"))(today);
+        assert.strictEqual(calendarDay.eventList.length, 2);
+
+        const schedule = window.document.createElement("div");
+        calendarDay.renderEventList(schedule);
+        assertNoMarkup(schedule);
+        assert.ok(schedule.textContent.includes(IMG_NAME));
+        assert.ok(schedule.textContent.includes(SCRIPT_NAME));
+        assert.ok(schedule.textContent.includes(JAVASCRIPT_LINK));
+
+        const month = window.document.createElement("div");
+        const dayDiv = window.document.createElement("div");
+        dayDiv.dataset.date = today;
+        month.appendChild(dayDiv);
+        calendarDay.renderEventPreview(month);
+        assertNoMarkup(month);
+        assert.deepStrictEqual([...month.querySelectorAll(".event_preview_name")].map(obj => obj.textContent), [IMG_NAME, SCRIPT_NAME]);
+        assert.strictEqual(window.pwned, undefined);
+    });
+
+    it("the summary and the next event card show names as text", () => {
+        // Tomorrow, so the next event doesn't depend on the time of day
+        const tomorrow = new window.Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+        const dateString = window.getDateStringFromDate(tomorrow);
+        window.testEvents = [
+            {id: "img2", name: IMG_NAME, description: SCRIPT_NAME, date: dateString,
+                startTime: "09:00", endTime: "10:00", type: "task", difficulty: 1, xpValue: 100},
+            {id: "script2", name: SCRIPT_NAME, description: IMG_NAME, date: dateString,
+                startTime: "11:00", endTime: "12:00", type: "task", difficulty: 1, xpValue: 100},
+        ];
+        window.eval("globalEventList = testEvents.map(obj => new CalendarEvent(obj));");
+        const calendarDay = new (window.eval("CalendarDay"))(dateString);
+
+        const summary = window.document.createElement("div");
+        calendarDay.renderSummary(summary);
+        assertNoMarkup(summary);
+        assert.ok(!summary.textContent.includes("<"));
+        assert.strictEqual(summary.querySelector(".tasks_available").textContent, "2");
+
+        calendarDay.renderDashBoard();
+        const card = window.document.querySelector("#menu_right_next_event");
+        assertNoMarkup(card);
+        assert.strictEqual(window.document.querySelector("#next_event_body_name").textContent, IMG_NAME);
+        assert.strictEqual(window.document.querySelector("#next_event_body_description").textContent, SCRIPT_NAME);
+        assert.strictEqual(window.pwned, undefined);
+    });
+});